@@ -0,0 +1,4 @@
+// Jestでsrc/のESモジュールを読み込むための設定（webpackのビルドでは使用しない）
+module.exports = {
+  presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+};
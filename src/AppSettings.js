@@ -34,6 +34,107 @@ export const APP_CONFIG = {
       DECODE_FAILED: "Failed to decode identifier",
     },
   },
+  ZAP_VALIDATION: {
+    POLICIES: {
+      HIDE: "hide", // 無効なZapを表示しない（LNURLプロバイダーの検証は表示後に行うため、その検証だけに失敗したZapは一度表示されてから消える）
+      MARK: "mark", // 無効なZapを"unverified"として表示
+      NONE: "none", // 検証を行わずすべて表示
+    },
+    DEFAULT_POLICY: "mark",
+  },
+  LNURL_CONFIG: {
+    REQUEST_TIMEOUT: 5000,
+    CACHE_DURATION: 1800000, // 30分
+  },
+  RELAY_DISCOVERY_CONFIG: {
+    // NIP-65 リレーリストの取得に使うリレー
+    BOOTSTRAP_RELAYS: [
+      "wss://purplepag.es",
+      "wss://relay.nostr.band",
+      "wss://relay.damus.io",
+      "wss://nos.lol",
+    ],
+    MAX_RELAYS: 8, // Zapの購読に使うリレーの上限
+    FETCH_TIMEOUT: 3000,
+    CACHE_DURATION: 1800000, // 30分
+  },
+  RELAY_HEALTH_CONFIG: {
+    FAILURE_THRESHOLD: 2, // 連続してこの回数失敗したリレーを一時的に除外
+    COOLDOWN: 300000, // 除外する期間（5分）
+    LATENCY_SAMPLES: 10, // 平均レイテンシの計算に使う直近のサンプル数
+    MAX_MESSAGES: 5, // 保持するNOTICE/CLOSEDメッセージの件数
+    EOSE_TIMEOUT: 4400, // EOSEを待つ最大時間（ms）、過ぎたリレーはEOSEを受信しなかったものとして扱う
+  },
+  SPAM_FILTER_CONFIG: {
+    DEFAULT_MIN_SATS: 0,
+    // フィルタで除外された分を補うための追加読み込みの最大回数
+    MAX_LOAD_MORE_ATTEMPTS: 5,
+  },
+  LIVE_CONFIG: {
+    DEFAULT_ENABLED: true, // EOSE後も購読を続けて新しいZapを表示する
+    SCROLL_THRESHOLD: 40, // これ以上スクロールしている場合は新着をバナーにためる（px）
+  },
+  RELAY_INFO_CONFIG: {
+    FETCH_TIMEOUT: 3000, // NIP-11 リレー情報の取得の最大待ち時間（ms）
+    CACHE_DURATION: 3600000, // 1時間
+  },
+  STATS_PROVIDER_CONFIG: {
+    // 上から順に問い合わせ、統計を返した最初のプロバイダーを使う（data-stats-providersで変更可能）
+    DEFAULT_CHAIN: ["nostr.band", "count", "local"],
+    // naddrはnostr.bandが対応しておらず、Zapの件数も少ないため、#aのレシートを集計して金額まで求める
+    ADDRESS_CHAIN: ["local", "count"],
+    TIMEOUT: 5000, // timeoutを持たないプロバイダーの最大待ち時間（ms）
+    LOCAL_TIMEOUT: 20000, // ローカル集計でレシートをページングする制限時間（ms）
+    LOCAL_MAX_EVENTS: 2000, // ローカル集計で取得するレシートの上限
+    LOCAL_PAGE_SIZE: 100,
+  },
+  ANALYTICS_CONFIG: {
+    TOP_SUPPORTERS: 10, // 上位の支援者として合計額の割合を求める人数
+    BACKFILL_TIMEOUT: 30000, // すべてのレシートを取得する際の制限時間（ms）
+    BACKFILL_MAX_EVENTS: 5000, // すべてのレシートを取得する際の上限
+  },
+  LEADERBOARD_CONFIG: {
+    DEFAULT_LIMIT: 1000, // ランキングのために遡って取得するレシートの上限（data-leaderboard-limitで変更可能）
+    PAGE_SIZE: 100, // 1回に取得する件数（取得するたびにランキングを更新する）
+    DISPLAY_COUNT: 20, // 一度に表示する人数（「Show more」で追加する）
+  },
+  TIMELINE_CONFIG: {
+    MAX_BUCKETS: 90, // これを超える場合は粒度を自動で粗くし、手動で選んだ粒度では最新の分だけ表示する
+    WIDTH: 320, // SVGのviewBoxの幅（表示幅は親要素に合わせる）
+    HEIGHT: 56,
+  },
+  COUNT_CONFIG: {
+    TIMEOUT: 3000, // NIP-45 COUNTの応答の最大待ち時間（ms）
+    MAX_RELAYS: 4, // COUNTを送るリレーの上限
+  },
+  PAGINATION_CONFIG: {
+    PAGE_TIMEOUT: 5000, // 1つのリレーからページを取得する際の最大待ち時間（ms）
+    MAX_ROUNDS: 3, // 1回の読み込みでリレーに問い合わせる最大回数
+    MAX_FAILURES: 2, // 連続してこの回数失敗したリレーは、その読み込みの間はページネーションの対象から外す
+  },
+  RECONNECT_CONFIG: {
+    BASE_DELAY: 1000, // 最初の再接続までの待ち時間（ms）、失敗するたびに倍にする
+    MAX_DELAY: 60000,
+  },
+  MUTE_LIST_CONFIG: {
+    MODES: {
+      HIDE: "hide", // ミュート対象のZapを表示しない
+      COLLAPSE: "collapse", // ミュート対象のZapを折りたたんで表示
+      NONE: "none", // ミュートリストを使用しない
+    },
+    DEFAULT_MODE: "none",
+    LOAD_TIMEOUT: 3000, // 描画をミュートリストの取得で待たせる最大時間（ms）
+    FETCH_TIMEOUT: 5000,
+    CACHE_DURATION: 600000, // 10分
+  },
+  COMMENT_CONFIG: {
+    MENTION_TITLE_LENGTH: 40, // コメント内で参照イベントのタイトルを表示する最大文字数
+    LINK_DISPLAY_LENGTH: 40, // コメント内のURLを表示する最大文字数
+    DEFAULT_MEDIA_PREVIEW: true,
+    IMAGE_EXTENSIONS: ["jpg", "jpeg", "png", "gif", "webp", "avif", "svg"],
+    VIDEO_EXTENSIONS: ["mp4", "webm", "mov", "m4v"],
+    HASHTAG_URL: "https://nostr.band/?q=%23{tag}",
+  },
   ZAP_AMOUNT_CONFIG: {
     DEFAULT_COLOR_MODE: true,
     THRESHOLDS: [
@@ -92,13 +193,49 @@ export const APP_CONFIG = {
 };
 
 export class ViewerConfig {
-  constructor(identifier, relayUrls, colorMode = null) {
+  constructor(identifier, relayUrls, colorMode = null, options = {}) {
     this.identifier = identifier;
     this.relayUrls = relayUrls;
     // colorModeがnullの場合のみデフォルト値を使用
     this.isColorModeEnabled = colorMode === null ? 
       APP_CONFIG.ZAP_CONFIG.DEFAULT_COLOR_MODE : 
       String(colorMode).toLowerCase() === "true";
+    this.validationPolicy = options.validationPolicy || APP_CONFIG.ZAP_VALIDATION.DEFAULT_POLICY;
+    // プライベートZapの復号はsignerへの問い合わせが発生するためオプトイン
+    this.decryptPrivateZaps = options.decryptPrivateZaps === true;
+    this.mediaPreview = options.mediaPreview ?? APP_CONFIG.COMMENT_CONFIG.DEFAULT_MEDIA_PREVIEW;
+    this.muteListMode = options.muteListMode || APP_CONFIG.MUTE_LIST_CONFIG.DEFAULT_MODE;
+    this.liveMode = options.liveMode ?? APP_CONFIG.LIVE_CONFIG.DEFAULT_ENABLED;
+    // 表示するZapの期間（unix秒、未指定の場合はnull）
+    this.timeRange = {
+      since: options.timeRange?.since ?? null,
+      until: options.timeRange?.until ?? null,
+    };
+    this.rangePicker = options.rangePicker === true;
+    // 統計のプロバイダーの問い合わせ順（nullの場合はデフォルト）
+    this.statsProviders = options.statsProviders?.length ? options.statsProviders : null;
+    this.statsEndpoint = options.statsEndpoint || null;
+    this.leaderboardLimit = options.leaderboardLimit || APP_CONFIG.LEADERBOARD_CONFIG.DEFAULT_LIMIT;
+    this.timelineChart = options.timelineChart === true;
+    this.spamFilter = {
+      minSats: APP_CONFIG.SPAM_FILTER_CONFIG.DEFAULT_MIN_SATS,
+      blockedPubkeys: [],
+      blockedWords: [],
+      hideSelfZaps: false,
+      ...options.spamFilter,
+    };
+  }
+
+  get hasTimeRange() {
+    return this.timeRange.since !== null || this.timeRange.until !== null;
+  }
+
+  // 未指定の場合は空配列（NIP-65のリレーリストから補完される）
+  static determineRelayUrls(button) {
+    return (button?.getAttribute("data-relay-urls") || "")
+      .split(",")
+      .map(url => url.trim())
+      .filter(Boolean);
   }
 
   static determineColorMode(button) {
@@ -112,13 +249,156 @@ export class ViewerConfig {
     return colorModeAttr.toLowerCase() === "true";
   }
 
+  static determineValidationPolicy(button) {
+    const policyAttr = button?.getAttribute("data-zap-validation")?.toLowerCase();
+    // 未知の値の場合はデフォルトのポリシーを使用
+    return Object.values(APP_CONFIG.ZAP_VALIDATION.POLICIES).includes(policyAttr)
+      ? policyAttr
+      : APP_CONFIG.ZAP_VALIDATION.DEFAULT_POLICY;
+  }
+
+  static determineDecryptPrivateZaps(button) {
+    return button?.getAttribute("data-decrypt-private-zaps")?.toLowerCase() === "true";
+  }
+
+  static determineMediaPreview(button) {
+    const previewAttr = button?.getAttribute("data-media-preview")?.toLowerCase();
+    if (previewAttr !== "true" && previewAttr !== "false") {
+      return APP_CONFIG.COMMENT_CONFIG.DEFAULT_MEDIA_PREVIEW;
+    }
+    return previewAttr === "true";
+  }
+
+  static determineLiveMode(button) {
+    const liveAttr = button?.getAttribute("data-live")?.toLowerCase();
+    if (liveAttr !== "true" && liveAttr !== "false") {
+      return APP_CONFIG.LIVE_CONFIG.DEFAULT_ENABLED;
+    }
+    return liveAttr === "true";
+  }
+
+  static determineTimeRange(button) {
+    const since = ViewerConfig.parseTimestamp(button?.getAttribute("data-since"));
+    const until = ViewerConfig.parseTimestamp(button?.getAttribute("data-until"), true);
+    if (since !== null && until !== null && since > until) {
+      console.warn("data-since is after data-until, ignoring the time range:", { since, until });
+      return { since: null, until: null };
+    }
+    return { since, until };
+  }
+
+  static determineRangePicker(button) {
+    return button?.getAttribute("data-range-picker")?.toLowerCase() === "true";
+  }
+
+  static determineStatsProviders(button) {
+    return (button?.getAttribute("data-stats-providers") || "")
+      .split(",")
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  static determineStatsEndpoint(button) {
+    const endpoint = button?.getAttribute("data-stats-endpoint")?.trim();
+    if (!endpoint) return null;
+    if (!/^https?:\/\//i.test(endpoint)) {
+      console.warn("data-stats-endpoint must be an http(s) URL:", endpoint);
+      return null;
+    }
+    return endpoint;
+  }
+
+  static determineTimelineChart(button) {
+    return button?.getAttribute("data-timeline-chart")?.toLowerCase() === "true";
+  }
+
+  static determineLeaderboardLimit(button) {
+    const limit = parseInt(button?.getAttribute("data-leaderboard-limit"), 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : APP_CONFIG.LEADERBOARD_CONFIG.DEFAULT_LIMIT;
+  }
+
+  /**
+   * ISO 8601の日時またはunix秒をunix秒に変換（不正な値はnull）
+   * 日付のみの場合はUTCの0時、isEndOfDayの場合はその日の終わりとして扱う
+   * @param {string|null} value
+   * @param {boolean} [isEndOfDay]
+   * @returns {number|null}
+   */
+  static parseTimestamp(value, isEndOfDay = false) {
+    const text = value?.trim();
+    if (!text) return null;
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+      console.warn("Invalid timestamp:", value);
+      return null;
+    }
+
+    const seconds = Math.floor(time / 1000);
+    return isEndOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? seconds + 86399 : seconds;
+  }
+
+  static determineMuteListMode(button) {
+    const modeAttr = button?.getAttribute("data-mute-list")?.toLowerCase();
+    return Object.values(APP_CONFIG.MUTE_LIST_CONFIG.MODES).includes(modeAttr)
+      ? modeAttr
+      : APP_CONFIG.MUTE_LIST_CONFIG.DEFAULT_MODE;
+  }
+
+  static determineSpamFilter(button) {
+    const parseList = (name) => (button?.getAttribute(name) || "")
+      .split(",")
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    const minSats = parseInt(button?.getAttribute("data-min-sats"), 10);
+    return {
+      minSats: Number.isInteger(minSats) && minSats > 0
+        ? minSats
+        : APP_CONFIG.SPAM_FILTER_CONFIG.DEFAULT_MIN_SATS,
+      blockedPubkeys: parseList("data-blocked-pubkeys")
+        .map(ViewerConfig.#normalizePubkey)
+        .filter(Boolean),
+      blockedWords: parseList("data-blocked-words").map(word => word.toLowerCase()),
+      hideSelfZaps: button?.getAttribute("data-hide-self-zaps")?.toLowerCase() === "true",
+    };
+  }
+
+  // npub/nprofile/hexのいずれかをhexのpubkeyに変換
+  static #normalizePubkey(value) {
+    if (/^[0-9a-f]{64}$/i.test(value)) return value.toLowerCase();
+    try {
+      const { type, data } = NostrTools.nip19.decode(value);
+      if (type === "npub") return data;
+      if (type === "nprofile") return data.pubkey;
+    } catch {
+      console.warn("Invalid pubkey in data-blocked-pubkeys:", value);
+    }
+    return null;
+  }
+
   static fromButton(button) {
     if (!button) throw new Error(APP_CONFIG.ZAP_CONFIG.ERRORS.BUTTON_NOT_FOUND);
     const colorMode = ViewerConfig.determineColorMode(button);
     return new ViewerConfig(
       button.getAttribute("data-nzv-id"),
-      button.getAttribute("data-relay-urls").split(","),
-      colorMode
+      ViewerConfig.determineRelayUrls(button),
+      colorMode,
+      {
+        validationPolicy: ViewerConfig.determineValidationPolicy(button),
+        decryptPrivateZaps: ViewerConfig.determineDecryptPrivateZaps(button),
+        mediaPreview: ViewerConfig.determineMediaPreview(button),
+        muteListMode: ViewerConfig.determineMuteListMode(button),
+        liveMode: ViewerConfig.determineLiveMode(button),
+        timeRange: ViewerConfig.determineTimeRange(button),
+        rangePicker: ViewerConfig.determineRangePicker(button),
+        statsProviders: ViewerConfig.determineStatsProviders(button),
+        statsEndpoint: ViewerConfig.determineStatsEndpoint(button),
+        leaderboardLimit: ViewerConfig.determineLeaderboardLimit(button),
+        timelineChart: ViewerConfig.determineTimelineChart(button),
+        spamFilter: ViewerConfig.determineSpamFilter(button),
+      }
     );
   }
 }
\ No newline at end of file
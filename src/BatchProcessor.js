@@ -1,4 +1,6 @@
 import { APP_CONFIG } from './AppSettings';
+import { normalizeRelayUrl } from './utils';
+import { relayHealthMonitor } from './RelayHealthMonitor';
 
 export class BatchProcessor {
   constructor(options = {}) {
@@ -23,6 +25,7 @@ export class BatchProcessor {
     this.resolvers = new Map();
     this.processingItems = new Set();
     this.batchTimer = null;
+    this.isPaused = false;
 
     this.eventCache = new Map();
     this.maxCacheAge = options.maxCacheAge || APP_CONFIG.BATCH_PROCESSOR_CONFIG.DEFAULT_MAX_CACHE_AGE;
@@ -42,8 +45,22 @@ export class BatchProcessor {
     return promise;
   }
 
+  // ページが非表示の間はバッチを送信せず、キューにためておく
+  pause() {
+    this.isPaused = true;
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+  }
+
+  resume() {
+    this.isPaused = false;
+    if (this.batchQueue.size > 0) {
+      this._scheduleBatchProcess();
+    }
+  }
+
   _scheduleBatchProcess() {
-    if (this.batchTimer) return;
+    if (this.batchTimer || this.isPaused) return;
 
     this.batchTimer = setTimeout(() => {
       this.batchTimer = null;
@@ -164,8 +181,9 @@ export class BatchProcessor {
         }
       };
 
+      // クールダウン中のリレーは除外し、応答の速いリレーを優先する
       sub = this.pool.subscribeMany(
-        relayUrls,
+        relayHealthMonitor.prioritize(relayUrls),
         filter,
         {
           onevent: (event) => {
@@ -227,6 +245,26 @@ export class BatchProcessor {
 export class ETagReferenceProcessor extends BatchProcessor {
   constructor(options = {}) {
     super(options);
+    this.relayHints = new Map();
+  }
+
+  // eタグのリレーヒントをイベントIDごとに保持し、バッチ処理時の取得先に加える
+  getOrCreateFetchPromise(key, relayHints = []) {
+    const hints = (relayHints || []).map(normalizeRelayUrl).filter(Boolean);
+    if (hints.length) {
+      this.relayHints.set(key, [...new Set([...(this.relayHints.get(key) || []), ...hints])]);
+    }
+    return super.getOrCreateFetchPromise(key);
+  }
+
+  _getRelayUrlsForItems(items) {
+    const hints = items.flatMap(item => this.relayHints.get(item) || []);
+    return [...new Set([...this.relayUrls, ...hints])];
+  }
+
+  _cleanupBatchItems(items) {
+    super._cleanupBatchItems(items);
+    items.forEach(item => this.relayHints.delete(item));
   }
 
   async onBatchProcess(items) {
@@ -247,7 +285,7 @@ export class ETagReferenceProcessor extends BatchProcessor {
       }
     };
 
-    await this._createSubscriptionPromise(items, this.relayUrls, filter, eventHandler);
+    await this._createSubscriptionPromise(items, this._getRelayUrlsForItems(items), filter, eventHandler);
   }
 }
 
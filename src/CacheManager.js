@@ -118,6 +118,14 @@ class ZapEventCache extends BaseCache {
     return true;
   }
 
+  removeEvent(viewId, eventId) {
+    const events = this.getEvents(viewId);
+    const filtered = events.filter(e => e.id !== eventId);
+    if (filtered.length === events.length) return false;
+    this.set(viewId, filtered);
+    return true;
+  }
+
   #isDuplicate(events, event) {
     return events.some(e => 
       e.id === event.id || 
@@ -372,6 +380,84 @@ class Nip05Cache extends ProfileCache {
   }
 }
 
+/**
+ * 有効期限付きのキャッシュ（LNURL情報・ミュートリストなど、外部から取得する値）
+ * 取得中の問い合わせは同じキーで1つにまとめる。取得できなかった値もnullとして期限までキャッシュする
+ */
+class FetchCache extends BaseCache {
+  #pendingFetches = new Map();
+
+  /**
+   * @param {number} [maxAge] 有効期限（ミリ秒）
+   * @param {number} [maxSize]
+   */
+  constructor(maxAge = Infinity, maxSize) {
+    super(maxSize);
+    this.maxAge = maxAge;
+  }
+
+  setValue(key, value) {
+    if (!key) return;
+    this.set(key, {
+      value,
+      timestamp: Date.now()
+    });
+  }
+
+  // 未取得または期限切れの場合はundefined
+  getValue(key) {
+    const cached = this.get(key);
+    if (!cached) return undefined;
+    if (Date.now() - cached.timestamp > this.maxAge) {
+      this.delete(key);
+      return undefined;
+    }
+    return cached.value;
+  }
+
+  /**
+   * キャッシュ済みの値、取得中の場合はその結果、どちらもなければfetchFnで取得した値を返す
+   * fetchFnが例外を投げた場合はキャッシュしない
+   * @param {string} key
+   * @param {function(): Promise<*>} fetchFn
+   * @returns {Promise<*>}
+   */
+  async getOrFetch(key, fetchFn) {
+    const cached = this.getValue(key);
+    if (cached !== undefined) return cached;
+
+    if (!this.#pendingFetches.has(key)) {
+      const promise = fetchFn()
+        .then(value => {
+          this.setValue(key, value);
+          return value;
+        })
+        .finally(() => this.#pendingFetches.delete(key));
+      this.#pendingFetches.set(key, promise);
+    }
+    return this.#pendingFetches.get(key);
+  }
+
+  clear() {
+    super.clear();
+    this.#pendingFetches.clear();
+  }
+}
+
+// Zapレシートを受信したリレー（重複して届いた分も含む）
+class SeenOnCache extends BaseCache {
+  addRelay(eventId, relayUrl) {
+    if (!eventId || !relayUrl) return;
+    const relays = this.get(eventId) || new Set();
+    relays.add(relayUrl);
+    this.set(eventId, relays);
+  }
+
+  getRelays(eventId) {
+    return [...(this.get(eventId) || [])];
+  }
+}
+
 export class CacheManager {
   static #instance = null;
   #relayUrls = null;
@@ -393,6 +479,15 @@ export class CacheManager {
     this.imageCache = new ImageCache(); // 更新
     this.nip05Cache = new Nip05Cache(); // 更新
     this.nip05PendingCache = new BaseCache(); // 追加：NIP-05保留中フェッチ用キャッシュ
+    this.zapValidationCache = new BaseCache(); // Zapレシート検証結果
+    this.zapReceiptCache = new BaseCache(); // パース済みZapレシート
+    // 外部から取得する値（getOrFetchで取得し、取得中の問い合わせは1つにまとめる）
+    this.lnurlCache = new FetchCache(APP_CONFIG.LNURL_CONFIG.CACHE_DURATION); // 受信者のLNURL情報
+    this.privateZapCache = new FetchCache(); // 復号済みプライベートZap
+    this.muteListCache = new FetchCache(APP_CONFIG.MUTE_LIST_CONFIG.CACHE_DURATION); // 閲覧者のミュートリスト
+    this.relayListCache = new FetchCache(APP_CONFIG.RELAY_DISCOVERY_CONFIG.CACHE_DURATION); // NIP-65 リレーリスト
+    this.relayInfoCache = new FetchCache(APP_CONFIG.RELAY_INFO_CONFIG.CACHE_DURATION); // NIP-11 リレー情報（取得できなかったリレーはnull）
+    this.seenOnCache = new SeenOnCache(5000); // Zapレシートを受信したリレー
 
     // 汎用キャッシュの初期化
     const CACHE_NAMES = [
@@ -422,6 +517,7 @@ export class CacheManager {
   getZapEvents(viewId) { return this.zapEventCache.getEvents(viewId); }
   setZapEvents(viewId, events, maintainOrder) { return this.zapEventCache.setEvents(viewId, events, maintainOrder); }
   addZapEvent(viewId, event) { return this.zapEventCache.addEvent(viewId, event); }
+  removeZapEvent(viewId, eventId) { return this.zapEventCache.removeEvent(viewId, eventId); }
   getZapViewState(viewId) { return this.zapEventCache.getViewState(viewId); }
   updateZapViewState(viewId, updates) { return this.zapEventCache.updateViewState(viewId, updates); }
 
@@ -448,6 +544,11 @@ export class CacheManager {
     return this.statsCache.getViewStats(viewId);
   }
 
+  clearCachedStats(viewId, identifier) {
+    this.statsCache.delete(`${viewId}:${identifier}`);
+    this.statsCache.clearViewStats(viewId);
+  }
+
   setNoZapsState(viewId, hasNoZaps) {
     return this.statsCache.setNoZapsState(viewId, hasNoZaps);
   }
@@ -491,6 +592,34 @@ export class CacheManager {
   getZapInfo(eventId) { return this.zapInfoCache.getZapInfo(eventId); }
   clearZapInfo(eventId) { return this.zapInfoCache.clearZapInfo(eventId); }
 
+  // Zapレシート関連の委譲メソッド
+  setZapReceipt(eventId, receipt) { return this.zapReceiptCache.set(eventId, receipt); }
+  getZapReceipt(eventId) { return this.zapReceiptCache.get(eventId); }
+
+  // 受信リレー関連の委譲メソッド
+  addSeenOn(eventId, relayUrl) { return this.seenOnCache.addRelay(eventId, relayUrl); }
+  getSeenOn(eventId) { return this.seenOnCache.getRelays(eventId); }
+
+  /**
+   * ビューで取得したZapのうち、各リレーが保持していた件数
+   * @param {string} viewId
+   * @param {string[]} relayUrls
+   * @returns {Array<{url: string, count: number, total: number}>}
+   */
+  getRelayCoverage(viewId, relayUrls = []) {
+    const events = this.getZapEvents(viewId);
+    const seenOnList = events.map(event => this.getSeenOn(event.id));
+    return relayUrls.map(url => ({
+      url,
+      count: seenOnList.filter(relays => relays.includes(url)).length,
+      total: events.length,
+    }));
+  }
+
+  // Zap検証関連の委譲メソッド
+  setZapValidation(eventId, result) { return this.zapValidationCache.set(eventId, result); }
+  getZapValidation(eventId) { return this.zapValidationCache.get(eventId); }
+
   // 画像キャッシュ関連の委譲メソッド
   setImageCache(url, img) { return this.imageCache.setImage(url, img); }
   getImageCache(url) { return this.imageCache.getImage(url); }
@@ -567,6 +696,14 @@ export class CacheManager {
     this.decodedCache.clear();
     this.loadStateCache.clear();
     this.zapInfoCache.clear();
+    this.zapValidationCache.clear();
+    this.zapReceiptCache.clear();
+    this.lnurlCache.clear();
+    this.privateZapCache.clear();
+    this.muteListCache.clear();
+    this.relayListCache.clear();
+    this.relayInfoCache.clear();
+    this.seenOnCache.clear();
     this.imageCache.clear();
     this.nip05Cache.clear(); // Add this line
     this.nip05Cache.clearPendingVerifications(); // Add this line
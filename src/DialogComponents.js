@@ -1,5 +1,8 @@
-import { escapeHTML, isEventIdentifier, encodeNevent, encodeNaddr, isWithin24Hours,
-         formatIdentifier, parseZapEvent, encodeNpub, createDefaultZapInfo } from "./utils.js";
+import { escapeHTML, escapeAttribute, isEventIdentifier, encodeNevent, encodeNaddr, isWithin24Hours,
+         formatIdentifier, encodeNpub, createDefaultZapInfo, formatNumber } from "./utils.js";
+import { ZapReceipt } from "./ZapReceipt.js";
+import { privateZapDecryptor } from "./PrivateZapDecryptor.js";
+import { CommentRenderer } from "./ui/CommentRenderer.js";
 import { cacheManager } from "./CacheManager.js";
 import { APP_CONFIG } from "./AppSettings.js";
 import arrowRightIcon from "./assets/arrow_right.svg";
@@ -38,6 +41,11 @@ export class DialogComponents {
         nameComponent: this.#createNameComponent(zapInfo),
         pubkeyComponent: this.#createPubkeyComponent(zapInfo, currentIdentifier),
         referenceComponent: this.#createReferenceComponent(normalizedReference),
+        badgeComponent: this.#createBadgeComponent(zapInfo),
+        commentComponent: CommentRenderer.render(zapInfo.comment, {
+          emojis: zapInfo.emojis,
+          mediaPreview: config?.mediaPreview,
+        }),
       };
     } catch (error) {
       console.error(this.#ERROR_MESSAGES.UI_COMPONENTS, error);
@@ -55,6 +63,8 @@ export class DialogComponents {
       nameComponent: '<div class="zap-placeholder-name skeleton"></div>',
       pubkeyComponent: '',
       referenceComponent: '',
+      badgeComponent: '',
+      commentComponent: '',
     };
   }
 
@@ -70,6 +80,17 @@ export class DialogComponents {
     this.#updateReferenceContent(zapContent, reference);
   }
 
+  static updateBadgesInElement(element, zapInfo) {
+    const zapContent = element?.querySelector('.zap-content');
+    if (!zapContent) return;
+
+    zapContent.querySelector('.zap-badges')?.remove();
+    const badgeHTML = this.#createBadgeComponent(zapInfo);
+    if (badgeHTML) {
+      zapContent.querySelector('.zap-sender')?.insertAdjacentHTML('afterend', badgeHTML);
+    }
+  }
+
   static #validateReferenceElement(element, reference) {
     return element && reference && element.querySelector('.zap-content');
   }
@@ -83,11 +104,23 @@ export class DialogComponents {
   // Template Generation Methods
   static getDialogTemplate() {
     return `
-      <dialog class="dialog">
+      <dialog class="dialog" data-tab="zaps">
         <h2 class="dialog-title"><a href="#" target="_blank"></a></h2>
         <button class="close-dialog-button">X</button>
         <div class="zap-stats"></div>
+        <div class="zap-analytics"></div>
+        <div class="zap-timeline" hidden></div>
+        <div class="time-range" hidden></div>
+        <div class="relay-status"></div>
+        <div class="dialog-tabs" role="tablist">
+          <button type="button" class="dialog-tab is-active" role="tab" aria-selected="true" data-tab="zaps">Zaps</button>
+          <button type="button" class="dialog-tab" role="tab" aria-selected="false" data-tab="leaderboard">Leaderboard</button>
+        </div>
+        <div class="new-zaps-notice">
+          <button class="new-zaps-pill" type="button" hidden></button>
+        </div>
         <ul class="dialog-zap-list"></ul>
+        <div class="leaderboard"></div>
       </dialog>
     `;
   }
@@ -117,7 +150,7 @@ export class DialogComponents {
 
     return `
       <div class="zap-content">
-        <div class="zap-sender${zapInfo.comment ? " with-comment" : ""}" data-pubkey="${zapInfo.pubkey}">
+        <div class="zap-sender${zapInfo.comment ? " with-comment" : ""}" data-pubkey="${escapeAttribute(zapInfo.pubkey)}">
           <div class="sender-icon${isNew ? " is-new" : ""}">
             ${components.iconComponent}
           </div>
@@ -127,7 +160,8 @@ export class DialogComponents {
           </div>
           <div class="zap-amount ${colorClass}"><span class="number">${amount}</span> ${unit}</div>
         </div>
-        ${zapInfo.comment ? `<div class="zap-details"><span class="zap-comment">${escapeHTML(zapInfo.comment)}</span></div>` : ""}
+        ${components.badgeComponent}
+        ${zapInfo.comment ? `<div class="zap-details"><span class="zap-comment">${components.commentComponent}</span></div>` : ""}
         ${components.referenceComponent}
       </div>
     `;
@@ -173,9 +207,26 @@ export class DialogComponents {
       : '<div class="zap-placeholder-name skeleton"></div>';
   }
 
+  static #createBadgeComponent({ isUnverified, validationErrors, isAmountMismatch, requestedMsats, invoiceMsats, isPrivate, isRevealed }) {
+    const badges = [];
+    if (isPrivate) {
+      const title = isRevealed ? "decrypted private zap" : "sender and comment are encrypted";
+      badges.push(`<span class="zap-badge zap-badge-private" title="${title}">🔒 private zap</span>`);
+    }
+    if (isUnverified) {
+      const title = escapeHTML((validationErrors || []).join(", "));
+      badges.push(`<span class="zap-badge zap-badge-unverified" title="${title}">unverified</span>`);
+    }
+    if (isAmountMismatch) {
+      const title = `requested ${formatNumber(requestedMsats / 1000)} sats, invoice ${formatNumber(invoiceMsats / 1000)} sats`;
+      badges.push(`<span class="zap-badge zap-badge-amount-mismatch" title="${title}">⚠ amount mismatch</span>`);
+    }
+    return badges.length ? `<div class="zap-badges">${badges.join("")}</div>` : "";
+  }
+
   static #createPubkeyComponent({ pubkey, displayIdentifier, reference }, identifier) {
     const shouldShowReference = !isEventIdentifier(identifier);
-    const commonAttrs = `class="sender-pubkey" data-pubkey="${pubkey}"`;
+    const commonAttrs = `class="sender-pubkey" data-pubkey="${escapeAttribute(pubkey)}"`;
     
     return reference && shouldShowReference
       ? `<span ${commonAttrs}>${displayIdentifier}</span>`
@@ -314,16 +365,25 @@ export class DialogComponents {
       }
 
       try {
-        const { pubkey, content, satsText } = await parseZapEvent(this.#event);
-        const satsAmount = parseInt(satsText.replace(/,/g, "").split(" ")[0], 10);
-        const normalizedPubkey = typeof pubkey === "string" ? pubkey : null;
+        const receipt = ZapReceipt.fromEvent(this.#event);
+        const { requestedMsats, invoiceMsats, isAmountMismatch } = receipt;
+        const satsAmount = invoiceMsats ? Math.floor(invoiceMsats / 1000) : 0;
+        const satsText = invoiceMsats
+          ? `${formatNumber(satsAmount)} sats`
+          : "Amount: Unknown";
+        // 復号済みのプライベートZapは実際の送信者とコメントを使用
+        const revealed = receipt.isPrivate ? privateZapDecryptor.getCached(eventId) : null;
+        const sender = revealed?.pubkey || receipt.sender;
+        const normalizedPubkey = typeof sender === "string" ? sender : null;
 
         const reference = this.#event.reference || null;
+        const validation = this.#event.validation;
         
         const info = {
           satsText,
           satsAmount,
-          comment: content || "",
+          comment: revealed ? revealed.content : receipt.comment,
+          emojis: revealed ? revealed.emojis : receipt.emojis,
           pubkey: normalizedPubkey || "",
           created_at: this.#event.created_at,
           displayIdentifier: normalizedPubkey
@@ -332,6 +392,13 @@ export class DialogComponents {
           senderName: null,
           senderIcon: null,
           reference,
+          isUnverified: validation ? !validation.isValid : false,
+          validationErrors: validation?.errors || [],
+          requestedMsats,
+          invoiceMsats,
+          isAmountMismatch,
+          isPrivate: receipt.isPrivate,
+          isRevealed: !!revealed,
           colorClass: DialogComponents.ZapInfo.getAmountColorClass(
             satsAmount, 
             config?.isColorModeEnabled
@@ -5,22 +5,30 @@ import {
   ATagReferenceProcessor,
 } from "./BatchProcessor.js";
 import { cacheManager } from "./CacheManager.js";
+import { relayHealthMonitor } from "./RelayHealthMonitor.js";
+import { normalizeRelayUrl } from "./utils.js";
 
 export class EventPool {
   // Private fields declaration
   #zapPool;
   #isConnected;
+  #referenceRelayUrls;
   #subscriptions;
   #state;
   #referenceFetching;
   #eTagProcessor;
   #aTagProcessor;
+  #liveConnections;
+  #isOnline;
+  #isVisible;
 
   constructor() {
     // 初期化
     this.#zapPool = new SimplePool();
     this.#initializeState();
     this.#initializeProcessors();
+    this.#initializeNetworkListeners();
+    this.#initializeVisibilityListener();
   }
 
   // Private initialization methods
@@ -29,6 +37,47 @@ export class EventPool {
     this.#state = new Map();
     this.#referenceFetching = new Map();
     this.#isConnected = false;
+    this.#referenceRelayUrls = new Set();
+    this.#liveConnections = new Set();
+    this.#isOnline = typeof navigator === "undefined" || navigator.onLine !== false;
+    this.#isVisible = typeof document === "undefined" || document.visibilityState !== "hidden";
+  }
+
+  // オフライン中は再接続を止め、オンラインに戻ったらすぐに再購読して取りこぼしを補う
+  #initializeNetworkListeners() {
+    if (typeof window === "undefined") return;
+
+    window.addEventListener("offline", () => {
+      this.#isOnline = false;
+      this.#liveConnections.forEach(connection => connection.pause());
+    });
+    window.addEventListener("online", () => {
+      this.#isOnline = true;
+      if (this.#isVisible) {
+        this.#liveConnections.forEach(connection => connection.reconnect());
+      }
+    });
+  }
+
+  // 非表示のタブではライブ購読と参照取得のバッチを止め、表示に戻ったら再購読して取りこぼしを補う
+  #initializeVisibilityListener() {
+    if (typeof document === "undefined" || !document.addEventListener) return;
+
+    document.addEventListener("visibilitychange", () => {
+      this.#isVisible = document.visibilityState !== "hidden";
+      const processors = [this.#eTagProcessor, this.#aTagProcessor];
+
+      if (!this.#isVisible) {
+        this.#liveConnections.forEach(connection => connection.suspend());
+        processors.forEach(processor => processor.pause());
+        return;
+      }
+
+      processors.forEach(processor => processor.resume());
+      if (this.#isOnline) {
+        this.#liveConnections.forEach(connection => connection.reconnect());
+      }
+    });
   }
 
   #initializeProcessors() {
@@ -44,24 +93,215 @@ export class EventPool {
   // Private initialization and state management methods
   #initializeSubscriptionState(viewId) {
     if (!this.#subscriptions.has(viewId)) {
-      this.#subscriptions.set(viewId, { zap: null });
+      this.#subscriptions.set(viewId, new Set());
     }
     if (!this.#state.has(viewId)) {
       this.#state.set(viewId, { isZapClosed: false });
     }
   }
 
+  #getSubscriptionRelayUrls(config, decoded) {
+    // 識別子に含まれるリレーヒントも購読先に加える
+    const relayUrls = [...new Set([...(config.relayUrls || []), ...(decoded.relayHints || [])])];
+    return relayHealthMonitor.prioritize(relayUrls);
+  }
+
   #createSubscription(viewId, config, decoded, handlers) {
-    
-    this.#subscriptions.get(viewId).zap = this.#zapPool.subscribeMany(
-      config.relayUrls,
+    return this.#registerSubscription(viewId, this.#subscribeWithHealth(
+      this.#getSubscriptionRelayUrls(config, decoded),
       [decoded.req],
       handlers
-    );
+    ));
+  }
+
+  // closeSubscriptionsでまとめて終了できるよう、ビューごとに保持する
+  #registerSubscription(viewId, closer) {
+    const subscriptions = this.#subscriptions.get(viewId);
+    subscriptions.add(closer);
+
+    return {
+      close: () => {
+        subscriptions.delete(closer);
+        closer.close();
+      },
+    };
   }
 
-  #validateEvent(event) {
-    return event && event.id && Array.isArray(event.tags);
+  /**
+   * 1つのリレーへのライブ購読。切断されると指数バックオフで再接続する
+   * 再接続のたびにgetSince()以降を取得し直し、切断中に届いたZapを補う
+   */
+  #createLiveConnection(url, req, handlers, getSince) {
+    let sub = null;
+    let timerId = null;
+    let attempt = 0;
+    let isClosed = false;
+
+    const open = () => {
+      timerId = null;
+      if (isClosed) return;
+
+      let current = null;
+      current = this.#subscribeWithHealth([url], [{ ...req, since: getSince() }], {
+        onevent: handlers.onevent,
+        onrelayeose: () => {
+          attempt = 0;
+        },
+        onclose: () => {
+          // 自分で閉じた古い購読は対象外
+          if (sub === current) scheduleReconnect();
+        },
+      });
+      sub = current;
+    };
+
+    const scheduleReconnect = () => {
+      sub = null;
+      if (isClosed || timerId || !this.#isOnline || !this.#isVisible) return;
+
+      const { BASE_DELAY, MAX_DELAY } = APP_CONFIG.RECONNECT_CONFIG;
+      const delay = Math.min(BASE_DELAY * 2 ** attempt, MAX_DELAY);
+      attempt++;
+      timerId = setTimeout(open, delay);
+    };
+
+    const connection = {
+      reconnect: () => {
+        if (isClosed) return;
+        clearTimeout(timerId);
+        timerId = null;
+        attempt = 0;
+        const previous = sub;
+        sub = null;
+        previous?.close();
+        open();
+      },
+      pause: () => {
+        clearTimeout(timerId);
+        timerId = null;
+      },
+      suspend: () => {
+        clearTimeout(timerId);
+        timerId = null;
+        const previous = sub;
+        sub = null;
+        previous?.close();
+      },
+      close: () => {
+        isClosed = true;
+        clearTimeout(timerId);
+        const previous = sub;
+        sub = null;
+        previous?.close();
+        this.#liveConnections.delete(connection);
+      },
+    };
+
+    this.#liveConnections.add(connection);
+    open();
+    return connection;
+  }
+
+  /**
+   * リレーごとに購読し、EOSEまでのレイテンシや失敗をRelayHealthMonitorに記録する
+   * oneoseは全リレーがEOSE・タイムアウト・終了のいずれかになった時点で一度だけ呼ぶ
+   * onrelayeoseは実際にEOSEを受信したリレーでのみ呼ぶ（handlers.eoseTimeoutで待ち時間を変更可能）
+   */
+  #subscribeWithHealth(relayUrls, filters, handlers) {
+    const seenIds = new Set();
+    const settled = new Set();
+    let isEoseSent = false;
+
+    const isDuplicate = (id) => {
+      if (seenIds.has(id)) return true;
+      seenIds.add(id);
+      return false;
+    };
+
+    const settle = (url) => {
+      settled.add(url);
+      if (!isEoseSent && settled.size === relayUrls.length) {
+        isEoseSent = true;
+        handlers.oneose?.();
+      }
+    };
+
+    const eoseTimeout = handlers.eoseTimeout ?? APP_CONFIG.RELAY_HEALTH_CONFIG.EOSE_TIMEOUT;
+    const timeoutIds = [];
+
+    const subs = relayUrls.map(url => {
+      const relayKey = normalizeRelayUrl(url) || url;
+      const startedAt = relayHealthMonitor.recordRequest(url);
+      let isEosed = false;
+      let isClosed = false;
+      let isTimedOut = false;
+      this.#trackNotices(url);
+
+      // nostr-toolsはEOSEが届かない場合も同じ時間でoneoseを呼ぶため、先に発火する自前のタイマーで区別する
+      const timeoutId = setTimeout(() => {
+        if (isEosed || isClosed) return;
+        isTimedOut = true;
+        settle(url);
+      }, eoseTimeout);
+      timeoutIds.push(timeoutId);
+
+      return this.#zapPool.subscribeMany([url], filters, {
+        eoseTimeout,
+        alreadyHaveEvent: (id) => {
+          relayHealthMonitor.recordEvent(url);
+          cacheManager.addSeenOn(id, relayKey);
+          // リレーごとの件数を数える場合は、重複もoneventまで通してから除外する
+          return !handlers.onrelayevent && isDuplicate(id);
+        },
+        onevent: (event) => {
+          if (handlers.onrelayevent) {
+            handlers.onrelayevent(url, event);
+            if (isDuplicate(event.id)) return;
+          }
+          handlers.onevent?.(event);
+        },
+        oneose: () => {
+          // 接続失敗時もoneoseが先に呼ばれるため、同期的に続くoncloseを待ってから判定する
+          queueMicrotask(() => {
+            // タイムアウト後の疑似的なEOSEは成功として記録しない
+            if (isTimedOut) return;
+            clearTimeout(timeoutId);
+            if (!isClosed) {
+              isEosed = true;
+              relayHealthMonitor.recordEose(url, startedAt);
+              handlers.onrelayeose?.(url);
+            }
+            settle(url);
+          });
+        },
+        onclose: (reasons) => {
+          isClosed = true;
+          clearTimeout(timeoutId);
+          relayHealthMonitor.recordClosed(url, reasons?.[0], isEosed);
+          handlers.onclose?.(reasons);
+        },
+      });
+    });
+
+    return {
+      close: () => {
+        timeoutIds.forEach(clearTimeout);
+        subs.forEach(sub => sub.close());
+      },
+    };
+  }
+
+  #trackNotices(url) {
+    this.#zapPool.ensureRelay(url)
+      .then(relay => {
+        if (relay.onnotice?.isHealthTracker) return;
+        const onnotice = (message) => relayHealthMonitor.recordNotice(url, message);
+        onnotice.isHealthTracker = true;
+        relay.onnotice = onnotice;
+      })
+      .catch(() => {
+        // 接続失敗は購読側のoncloseで記録される
+      });
   }
 
   #handleReferenceError(eventId, error) {
@@ -74,12 +314,19 @@ export class EventPool {
 
   // Connection management
   async connectToRelays(zapRelayUrls) {
-    if (this.#isConnected) return;
+    // 複数のビューや検出したリレーを参照取得用のリレーに追加していく
+    const sizeBefore = this.#referenceRelayUrls.size;
+    (zapRelayUrls || []).forEach(url => this.#referenceRelayUrls.add(url));
+    if (this.#isConnected && this.#referenceRelayUrls.size === sizeBefore) return;
+
     const processors = [this.#eTagProcessor, this.#aTagProcessor];
-    processors.forEach(p => p.setRelayUrls(zapRelayUrls));
+    processors.forEach(p => p.setRelayUrls([...this.#referenceRelayUrls]));
     this.#isConnected = true;
   }
 
+  /**
+   * @returns {{close: function(): void}} 購読を終了するためのオブジェクト
+   */
   subscribeToZaps(viewId, config, decoded, handlers) {
     try {
       this.#validateSubscription(decoded);
@@ -88,12 +335,119 @@ export class EventPool {
       const state = this.#state.get(viewId);
       state.isZapClosed = false;
       
-      this.#createSubscription(viewId, config, decoded, this.#wrapHandlers(handlers));
+      return this.#createSubscription(viewId, config, decoded, this.#wrapHandlers(handlers));
     } catch (error) {
       this.#handleError("Subscription error", error);
     }
   }
 
+  /**
+   * Zapの購読先（識別子のリレーヒントを含み、応答の速い順）
+   * @returns {string[]}
+   */
+  getZapRelayUrls(config, decoded) {
+    return this.#getSubscriptionRelayUrls(config, decoded);
+  }
+
+  /**
+   * 1つのリレーから1ページ分のイベントを取得（ページネーション用）
+   * @param {string} relayUrl
+   * @param {Object} filter
+   * @returns {Promise<{events: Object[], isComplete: boolean}>} EOSEまで受信できた場合はisCompleteがtrue
+   * （タイムアウトした場合はページの途中の可能性があるためfalse）
+   */
+  fetchRelayPage(relayUrl, filter, timeout = APP_CONFIG.PAGINATION_CONFIG.PAGE_TIMEOUT) {
+    if (!relayHealthMonitor.isAvailable(relayUrl)) {
+      return Promise.resolve({ events: [], isComplete: false });
+    }
+
+    return new Promise((resolve) => {
+      const events = [];
+      let isDone = false;
+      let sub = null;
+
+      const finish = (isComplete) => {
+        if (isDone) return;
+        isDone = true;
+        sub?.close();
+        resolve({ events, isComplete });
+      };
+
+      sub = this.#subscribeWithHealth([relayUrl], [filter], {
+        eoseTimeout: timeout,
+        onevent: (event) => events.push(event),
+        onrelayeose: () => finish(true),
+        // タイムアウトした場合やEOSE前に閉じられた場合はonrelayeoseを経ずにここに来る
+        oneose: () => finish(false),
+      });
+    });
+  }
+
+  /**
+   * NIP-45 COUNTで件数を取得
+   * @param {string} relayUrl
+   * @param {Object} filter
+   * @returns {Promise<number|null>} 応答がない場合やCLOSEDで拒否された場合はnull
+   */
+  async countEvents(relayUrl, filter, timeout = APP_CONFIG.COUNT_CONFIG.TIMEOUT) {
+    if (!relayHealthMonitor.isAvailable(relayUrl)) return null;
+
+    const id = `count:${Math.random().toString(36).slice(2, 10)}`;
+    let relay = null;
+    let timeoutId;
+
+    try {
+      relay = await this.#zapPool.ensureRelay(relayUrl, { connectionTimeout: timeout });
+      const timeoutPromise = new Promise(resolve => {
+        timeoutId = setTimeout(() => resolve(null), timeout);
+      });
+      const count = await Promise.race([relay.count([filter], { id }), timeoutPromise]);
+      return Number.isInteger(count) ? count : null;
+    } catch (error) {
+      console.warn("COUNT request failed:", relayUrl, error);
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+      // 応答のなかったリクエストを破棄する（CLOSEDはCOUNTの待機を解除しないため）
+      relay?.openCountRequests?.delete(id);
+    }
+  }
+
+  /**
+   * EOSE後も開いたままにし、切断時は再接続するライブ購読
+   * @param {function(): number} getSince 再接続時に取得し直す起点（unix秒）
+   * @returns {{close: function(): void}}
+   */
+  subscribeToLiveZaps(viewId, config, decoded, handlers, getSince) {
+    try {
+      this.#validateSubscription(decoded);
+      this.#initializeSubscriptionState(viewId);
+      this.#state.get(viewId).isZapClosed = false;
+
+      const wrappedHandlers = this.#wrapHandlers(handlers);
+      const connections = this.#getSubscriptionRelayUrls(config, decoded)
+        .map(url => this.#createLiveConnection(url, decoded.req, wrappedHandlers, getSince));
+
+      return this.#registerSubscription(viewId, {
+        close: () => connections.forEach(connection => connection.close()),
+      });
+    } catch (error) {
+      this.#handleError("Live subscription error", error);
+    }
+  }
+
+  // ビューの購読（初期取得・追加読み込み・ライブ購読）をすべて終了する
+  closeSubscriptions(viewId) {
+    const subscriptions = this.#subscriptions.get(viewId);
+    if (subscriptions) {
+      subscriptions.forEach(closer => closer.close());
+      subscriptions.clear();
+    }
+
+    const state = this.#state.get(viewId);
+    if (state) state.isZapClosed = true;
+  }
+
   #validateSubscription(decoded) {
     if (!decoded?.req?.kinds || !Array.isArray(decoded.req.kinds)) {
       throw new Error("Invalid subscription settings");
@@ -101,14 +455,11 @@ export class EventPool {
   }
 
   // Reference handling
-  async fetchReference(_relayUrls, event, type) {
+  async fetchReference(referenceKey, type, relayHints = []) {
     try {
-      if (!this.#validateEvent(event)) return null;
-
-      const tag = event.tags.find(t => Array.isArray(t) && t[0] === type);
-      if (!tag) return null;
+      if (!referenceKey || typeof referenceKey !== 'string') return null;
 
-      const eventId = type === 'e' ? tag[1] : `${tag[1]}`;
+      const eventId = referenceKey;
 
       const cached = cacheManager.getReference(eventId);
       if (cached) return cached;
@@ -119,7 +470,7 @@ export class EventPool {
       const processor = type === 'e' ? this.#eTagProcessor : this.#aTagProcessor;
 
       try {
-        const reference = await processor.getOrCreateFetchPromise(eventId);
+        const reference = await processor.getOrCreateFetchPromise(eventId, relayHints);
         
         if (reference) {
           // タグの値をキーとしてキャッシュ
@@ -131,7 +482,39 @@ export class EventPool {
         this.#referenceFetching.delete(eventId);
       }
     } catch (error) {
-      return this.#handleReferenceError(event?.id, error);
+      return this.#handleReferenceError(referenceKey, error);
+    }
+  }
+
+  async fetchEventById(eventId, relayHints = []) {
+    if (!eventId) return null;
+
+    const cached = cacheManager.getReference(eventId);
+    if (cached) return cached;
+
+    try {
+      const event = await this.#eTagProcessor.getOrCreateFetchPromise(eventId, relayHints);
+      if (event) {
+        cacheManager.setReference(eventId, event);
+      }
+      return event;
+    } catch (error) {
+      return this.#handleReferenceError(null, error);
+    }
+  }
+
+  /**
+   * 指定したリレーから条件に一致する最新のイベントを取得（置換可能イベント用）
+   * @returns {Promise<Object|null>}
+   */
+  async fetchLatestEvent(relayUrls, filter, maxWait) {
+    if (!relayUrls?.length) return null;
+
+    try {
+      return await this.#zapPool.get(relayHealthMonitor.prioritize(relayUrls), filter, { maxWait });
+    } catch (error) {
+      console.warn("Failed to fetch latest event:", error);
+      return null;
     }
   }
 
@@ -0,0 +1,107 @@
+import { bech32 } from "@scure/base";
+import { APP_CONFIG } from "./AppSettings.js";
+import { cacheManager } from "./CacheManager.js";
+import { profilePool } from "./ProfilePool.js";
+
+// LUD-16のユーザー名（a-z0-9-_.+、大文字は小文字と同じものとして許容する）とドメイン
+const LUD16_NAME_REGEX = /^[a-z0-9\-_.+]+$/i;
+const LUD16_DOMAIN_REGEX = /^[a-z0-9.-]+(:\d+)?$/i;
+
+/**
+ * @typedef {Object} LnurlPayInfo
+ * @property {boolean} allowsNostr
+ * @property {string|null} nostrPubkey
+ * @property {string|null} callback
+ */
+
+/**
+ * 受信者のkind 0からlud16/lud06を解決し、LNURLエンドポイントの情報を取得する
+ */
+export class LnurlResolver {
+  #fetchFn = null;
+
+  /**
+   * LNURLエンドポイントの取得に使うfetch関数を差し替える（テスト用のスタブなど）
+   * @param {Function|null} fetchFn
+   */
+  setFetchFunction(fetchFn) {
+    this.#fetchFn = typeof fetchFn === "function" ? fetchFn : null;
+  }
+
+  /**
+   * @param {string} pubkey 受信者のpubkey
+   * @returns {Promise<LnurlPayInfo|null>}
+   */
+  async resolve(pubkey) {
+    if (!pubkey) return null;
+    return cacheManager.lnurlCache.getOrFetch(pubkey, () => this.#resolveFromProfile(pubkey));
+  }
+
+  /**
+   * プロフィールからLNURLエンドポイントのURLを組み立てる
+   * @param {Object} profile kind 0 のcontent
+   * @returns {string|null}
+   */
+  static getEndpoint(profile) {
+    try {
+      if (profile?.lud06) {
+        const { words } = bech32.decode(profile.lud06.toLowerCase(), 1000);
+        const url = new URL(new TextDecoder().decode(new Uint8Array(bech32.fromWords(words))));
+        return LnurlResolver.#isAllowedUrl(url) ? url.toString() : null;
+      }
+      if (profile?.lud16) {
+        const [name, domain, ...rest] = profile.lud16.trim().split("@");
+        // LUD-16の文字種以外（パスの区切りやクエリなど）や、ドット(.)だけの名前は受け付けない
+        if (rest.length || !LUD16_NAME_REGEX.test(name || "") || /^\.+$/.test(name)) return null;
+        if (!LUD16_DOMAIN_REGEX.test(domain || "")) return null;
+        return new URL(`/.well-known/lnurlp/${name}`, `https://${domain}`).toString();
+      }
+    } catch (error) {
+      console.warn("Failed to build LNURL endpoint:", error);
+    }
+    return null;
+  }
+
+  // LUD-01: https のみ（http はTorの .onion に限る）
+  static #isAllowedUrl(url) {
+    if (url.protocol === "https:") return true;
+    return url.protocol === "http:" && url.hostname.endsWith(".onion");
+  }
+
+  async #resolveFromProfile(pubkey) {
+    try {
+      const [profile] = await profilePool.fetchProfiles([pubkey]);
+      const endpoint = LnurlResolver.getEndpoint(profile);
+      return endpoint ? await this.#fetchPayInfo(endpoint) : null;
+    } catch (error) {
+      console.warn("LNURL resolution failed:", error);
+      return null;
+    }
+  }
+
+  async #fetchPayInfo(endpoint) {
+    const fetchFn = this.#fetchFn || ((...args) => fetch(...args));
+    const controller = new AbortController();
+    const timeoutId = setTimeout(
+      () => controller.abort(),
+      APP_CONFIG.LNURL_CONFIG.REQUEST_TIMEOUT
+    );
+
+    try {
+      const response = await fetchFn(endpoint, { signal: controller.signal });
+      const body = await response.json();
+      const hasNostrPubkey = typeof body?.nostrPubkey === "string" &&
+        /^[0-9a-f]{64}$/.test(body.nostrPubkey);
+
+      return {
+        allowsNostr: !!body?.allowsNostr,
+        nostrPubkey: hasNostrPubkey ? body.nostrPubkey : null,
+        callback: typeof body?.callback === "string" ? body.callback : null,
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+export const lnurlResolver = new LnurlResolver();
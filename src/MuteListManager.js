@@ -0,0 +1,141 @@
+import { APP_CONFIG } from "./AppSettings.js";
+import { cacheManager } from "./CacheManager.js";
+import { eventPool } from "./EventPool.js";
+import { signerManager } from "./SignerManager.js";
+import { privateZapDecryptor } from "./PrivateZapDecryptor.js";
+import { ZapReceipt } from "./ZapReceipt.js";
+
+const HASHTAG_REGEX = /#([\p{L}\p{N}_]+)/gu;
+
+/**
+ * @typedef {Object} MuteList
+ * @property {Set<string>} pubkeys ミュートしたpubkey（pタグ）
+ * @property {Set<string>} hashtags ミュートしたハッシュタグ（tタグ、小文字）
+ * @property {string[]} words ミュートしたワード（wordタグ、小文字）
+ * @property {Set<string>} eventIds ミュートしたスレッド（eタグ）
+ */
+
+/**
+ * 閲覧者のNIP-51ミュートリスト（kind 10000）の取得と判定
+ * 非公開の項目はsignerでNIP-04/NIP-44の復号を行う
+ */
+export class MuteListManager {
+  /**
+   * 閲覧者のミュートリストを取得（signerがない場合はnull）
+   * @returns {Promise<MuteList|null>}
+   */
+  async load() {
+    if (!signerManager.hasSigner()) return null;
+
+    const pubkey = await signerManager.getPublicKey();
+    if (!pubkey) return null;
+
+    return cacheManager.muteListCache.getOrFetch(pubkey, () => this.#fetchMuteList(pubkey));
+  }
+
+  /**
+   * 描画を長時間止めないよう、一定時間で諦めてnullを返す
+   * @returns {Promise<MuteList|null>}
+   */
+  async loadWithTimeout(timeout = APP_CONFIG.MUTE_LIST_CONFIG.LOAD_TIMEOUT) {
+    let timeoutId;
+    const timeoutPromise = new Promise(resolve => {
+      timeoutId = setTimeout(() => resolve(null), timeout);
+    });
+
+    try {
+      return await Promise.race([this.load(), timeoutPromise]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Zapがミュート対象かどうか（送信者・コメント内のワードとハッシュタグ・対象スレッド）
+   * @param {Object} event kind 9735 イベント
+   * @param {MuteList|null} muteList
+   * @returns {boolean}
+   */
+  isMuted(event, muteList) {
+    if (!muteList || !event) return false;
+
+    const receipt = ZapReceipt.fromEvent(event);
+    const revealed = receipt.isPrivate ? privateZapDecryptor.getCached(receipt.id) : null;
+    const sender = revealed?.pubkey || receipt.sender;
+    const comment = (revealed ? revealed.content : receipt.comment).toLowerCase();
+
+    if (sender && muteList.pubkeys.has(sender)) return true;
+    if (receipt.eventId && muteList.eventIds.has(receipt.eventId)) return true;
+    if (muteList.words.some(word => comment.includes(word))) return true;
+
+    return Array.from(comment.matchAll(HASHTAG_REGEX))
+      .some(([, tag]) => muteList.hashtags.has(tag));
+  }
+
+  async #fetchMuteList(pubkey) {
+    try {
+      const event = await eventPool.fetchLatestEvent(
+        APP_CONFIG.PROFILE_CONFIG.RELAYS,
+        { kinds: [10000], authors: [pubkey] },
+        APP_CONFIG.MUTE_LIST_CONFIG.FETCH_TIMEOUT
+      );
+      return event && window.NostrTools.verifyEvent(event)
+        ? MuteListManager.parseTags([
+            ...event.tags,
+            ...(await this.#decryptPrivateTags(event, pubkey)),
+          ])
+        : null;
+    } catch (error) {
+      console.warn("Failed to load mute list:", error);
+      return null;
+    }
+  }
+
+  // 非公開の項目はcontentに自分宛てに暗号化されたタグ配列として格納される
+  async #decryptPrivateTags(event, pubkey) {
+    if (!event.content) return [];
+
+    try {
+      const plaintext = event.content.includes("?iv=")
+        ? await signerManager.nip04Decrypt(pubkey, event.content)
+        : await signerManager.nip44Decrypt(pubkey, event.content);
+      const tags = JSON.parse(plaintext);
+      return Array.isArray(tags) ? tags : [];
+    } catch (error) {
+      console.debug("Failed to decrypt private mute list items:", error);
+      return [];
+    }
+  }
+
+  /**
+   * @param {Array} tags kind 10000 のタグ（公開分と復号した非公開分）
+   * @returns {MuteList}
+   */
+  static parseTags(tags) {
+    const muteList = { pubkeys: new Set(), hashtags: new Set(), words: [], eventIds: new Set() };
+
+    tags.forEach(tag => {
+      if (!Array.isArray(tag) || typeof tag[1] !== "string" || !tag[1]) return;
+
+      const [name, value] = tag;
+      switch (name) {
+        case "p":
+          muteList.pubkeys.add(value);
+          break;
+        case "t":
+          muteList.hashtags.add(value.toLowerCase().replace(/^#/, ""));
+          break;
+        case "word":
+          muteList.words.push(value.toLowerCase());
+          break;
+        case "e":
+          muteList.eventIds.add(value);
+          break;
+      }
+    });
+
+    return muteList;
+  }
+}
+
+export const muteListManager = new MuteListManager();
@@ -0,0 +1,98 @@
+import { bech32, base64 } from "@scure/base";
+import { extractEmojiTags } from "./utils.js";
+import { cacheManager } from "./CacheManager.js";
+import { signerManager } from "./SignerManager.js";
+
+/**
+ * @typedef {Object} RevealedPrivateZap
+ * @property {string} pubkey 実際の送信者
+ * @property {string} content 実際のコメント
+ * @property {Object<string, string>} emojis 復号したリクエストのemojiタグ
+ */
+
+/**
+ * NIP-57 プライベートZap（anonタグに暗号化されたkind 9733）の復号
+ *
+ * anonタグの値は `pzap1..._iv1...` 形式で、AES-256-CBCと共有鍵の組み合わせは
+ * NIP-04と同じため、signerのnip04.decryptで復号できる。
+ * 復号できるのは受信者のみ（zapリクエストのpubkey＝一時鍵との共有鍵を使う）。
+ * 送信者側の鍵は送信者の秘密鍵から導出されるためNIP-07経由では復号できず、
+ * 受信者以外の閲覧者にsignerの許可を求めないよう、復号を試みない。
+ */
+export class PrivateZapDecryptor {
+  /**
+   * 復号済みの結果を同期的に取得（未試行の場合はundefined、失敗時はnull）
+   * @returns {RevealedPrivateZap|null|undefined}
+   */
+  getCached(eventId) {
+    return cacheManager.privateZapCache.getValue(eventId);
+  }
+
+  /**
+   * @param {import("./ZapReceipt.js").ZapReceipt} receipt
+   * @returns {Promise<RevealedPrivateZap|null>}
+   */
+  async decrypt(receipt) {
+    if (!receipt?.id || !receipt.isPrivate) return null;
+
+    return cacheManager.privateZapCache.getOrFetch(receipt.id, () =>
+      this.#decryptReceipt(receipt).catch(error => {
+        console.debug("Private zap decryption failed:", error);
+        return null;
+      })
+    );
+  }
+
+  async #decryptReceipt(receipt) {
+    if (!signerManager.hasSigner()) return null;
+
+    const viewerPubkey = await signerManager.getPublicKey();
+    if (!viewerPubkey) return null;
+
+    const ciphertext = PrivateZapDecryptor.toNip04Payload(receipt.privatePayload);
+    if (!ciphertext) return null;
+
+    // 受信者以外は復号できないため、signerを呼ばない
+    const ephemeralPubkey = receipt.zapRequest?.pubkey;
+    if (viewerPubkey !== receipt.recipient || !ephemeralPubkey) return null;
+
+    const plaintext = await signerManager.nip04Decrypt(ephemeralPubkey, ciphertext);
+    return this.#parsePrivateRequest(plaintext);
+  }
+
+  #parsePrivateRequest(plaintext) {
+    const privateRequest = JSON.parse(plaintext);
+    if (privateRequest?.kind !== 9733 || !window.NostrTools.verifyEvent(privateRequest)) {
+      return null;
+    }
+
+    return {
+      pubkey: privateRequest.pubkey,
+      content: typeof privateRequest.content === "string" ? privateRequest.content.trim() : "",
+      emojis: extractEmojiTags(privateRequest.tags),
+    };
+  }
+
+  /**
+   * `pzap1..._iv1...` をNIP-04の `base64?iv=base64` 形式に変換
+   * @param {string} payload
+   * @returns {string|null}
+   */
+  static toNip04Payload(payload) {
+    if (typeof payload !== "string") return null;
+
+    const [encryptedPart, ivPart] = payload.split("_");
+    if (!encryptedPart || !ivPart) return null;
+
+    try {
+      const encrypted = bech32.fromWords(bech32.decode(encryptedPart, 2000).words);
+      const iv = bech32.fromWords(bech32.decode(ivPart, 2000).words);
+      return `${base64.encode(new Uint8Array(encrypted))}?iv=${base64.encode(new Uint8Array(iv))}`;
+    } catch (error) {
+      console.debug("Invalid private zap payload:", error);
+      return null;
+    }
+  }
+}
+
+export const privateZapDecryptor = new PrivateZapDecryptor();
@@ -1,4 +1,4 @@
-import { getProfileDisplayName, verifyNip05, escapeHTML } from "./utils.js";
+import { getProfileDisplayName, verifyNip05, escapeHTML, extractEmojiTags } from "./utils.js";
 import { APP_CONFIG } from "./AppSettings.js";
 import { ProfileProcessor } from "./BatchProcessor.js";
 import { cacheManager } from "./CacheManager.js";
@@ -174,6 +174,7 @@ export class ProfilePool {
       return {
         ...content,
         name: getProfileDisplayName(content) || "nameless",
+        _emojis: extractEmojiTags(event.tags),
         _lastUpdated: now,
         _eventCreatedAt: event.created_at
       };
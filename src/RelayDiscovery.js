@@ -0,0 +1,91 @@
+import { APP_CONFIG } from "./AppSettings.js";
+import { cacheManager } from "./CacheManager.js";
+import { eventPool } from "./EventPool.js";
+import { normalizeRelayUrl } from "./utils.js";
+
+/**
+ * @typedef {Object} RelayList
+ * @property {string[]} read 受信用リレー（Zapレシートが届くリレー）
+ * @property {string[]} write 送信用リレー
+ */
+
+/**
+ * NIP-65（kind 10002）によるリレーの自動検出（outboxモデル）
+ */
+export class RelayDiscovery {
+  /**
+   * 明示的に指定されたリレーと、各pubkeyのリレーリストをマージする
+   * 明示的なリレーを優先し、合計はMAX_RELAYSまでに制限する
+   * @param {string[]} explicitRelays data-relay-urlsで指定されたリレー
+   * @param {string[]} pubkeys 受信者（ノートの場合は作成者）
+   * @returns {Promise<string[]>}
+   */
+  async resolveRelayUrls(explicitRelays = [], pubkeys = []) {
+    const relayLists = await Promise.all(
+      [...new Set(pubkeys.filter(Boolean))].map(pubkey => this.fetchRelayList(pubkey))
+    );
+
+    // Zapレシートは受信者の受信用リレーに届くため、readを優先する
+    const discovered = [
+      ...relayLists.flatMap(list => list?.read || []),
+      ...relayLists.flatMap(list => list?.write || []),
+    ];
+
+    const merged = [...new Set(
+      [...explicitRelays, ...discovered]
+        .map(normalizeRelayUrl)
+        .filter(Boolean)
+    )];
+    const relayUrls = merged.slice(0, Math.max(APP_CONFIG.RELAY_DISCOVERY_CONFIG.MAX_RELAYS, explicitRelays.length));
+
+    return relayUrls.length ? relayUrls : [...APP_CONFIG.RELAY_DISCOVERY_CONFIG.BOOTSTRAP_RELAYS];
+  }
+
+  /**
+   * @param {string} pubkey
+   * @returns {Promise<RelayList|null>}
+   */
+  async fetchRelayList(pubkey) {
+    if (!pubkey) return null;
+
+    return cacheManager.relayListCache.getOrFetch(pubkey, () => this.#fetchFromBootstrapRelays(pubkey));
+  }
+
+  async #fetchFromBootstrapRelays(pubkey) {
+    try {
+      const { BOOTSTRAP_RELAYS, FETCH_TIMEOUT } = APP_CONFIG.RELAY_DISCOVERY_CONFIG;
+      const event = await eventPool.fetchLatestEvent(
+        BOOTSTRAP_RELAYS,
+        { kinds: [10002], authors: [pubkey] },
+        FETCH_TIMEOUT
+      );
+      return event ? RelayDiscovery.parseRelayList(event) : null;
+    } catch (error) {
+      console.warn("Failed to fetch relay list:", error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object} event kind 10002 イベント
+   * @returns {RelayList}
+   */
+  static parseRelayList(event) {
+    const relayList = { read: [], write: [] };
+
+    (event.tags || []).forEach(tag => {
+      if (!Array.isArray(tag) || tag[0] !== "r") return;
+
+      const url = normalizeRelayUrl(tag[1]);
+      if (!url) return;
+
+      // マーカーがない場合は読み書き両方
+      if (tag[2] !== "write") relayList.read.push(url);
+      if (tag[2] !== "read") relayList.write.push(url);
+    });
+
+    return relayList;
+  }
+}
+
+export const relayDiscovery = new RelayDiscovery();
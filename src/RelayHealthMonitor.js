@@ -0,0 +1,234 @@
+import { APP_CONFIG } from "./AppSettings.js";
+import { normalizeRelayUrl } from "./utils.js";
+
+// 自分で購読を閉じた場合の理由（リレーの異常としては扱わない）
+const CALLER_CLOSE_REASONS = ["closed by caller", "relay connection closed by us"];
+
+/**
+ * @typedef {Object} RelayHealth
+ * @property {string} url
+ * @property {"unknown"|"connecting"|"connected"|"failed"} status
+ * @property {number|null} lastLatency 直近のEOSEまでの時間（ms）
+ * @property {number|null} averageLatency 直近LATENCY_SAMPLES回の平均（ms）
+ * @property {number} requestCount 購読の回数
+ * @property {number} eoseCount EOSEを受信した回数
+ * @property {number} eventCount 受信したイベント数（他のリレーとの重複を含む）
+ * @property {number} errorCount 接続エラー・EOSE前のCLOSEDの回数
+ * @property {number} consecutiveFailures
+ * @property {string|null} lastError
+ * @property {number|null} lastSuccessAt
+ * @property {number|null} lastFailureAt
+ * @property {Array<{type: "notice"|"closed", message: string, at: number}>} messages
+ * @property {boolean} isAvailable クールダウン中でなければtrue
+ */
+
+/**
+ * リレーごとの応答状況（EOSEまでのレイテンシ・エラー・NOTICE/CLOSED・イベント数）の記録
+ * 連続して失敗したリレーは一定時間、購読や参照取得の対象から外す
+ */
+export class RelayHealthMonitor {
+  #records = new Map();
+  #listeners = new Set();
+
+  /**
+   * 購読の開始を記録
+   * @returns {number} 開始時刻（recordEoseに渡す）
+   */
+  recordRequest(url) {
+    const record = this.#getRecord(url);
+    if (!record) return Date.now();
+
+    record.requestCount++;
+    if (record.status === "unknown") {
+      record.status = "connecting";
+      this.#notify();
+    }
+    return Date.now();
+  }
+
+  recordEose(url, startedAt) {
+    const record = this.#getRecord(url);
+    if (!record) return;
+
+    const latency = Date.now() - startedAt;
+    record.latencies = [...record.latencies, latency]
+      .slice(-APP_CONFIG.RELAY_HEALTH_CONFIG.LATENCY_SAMPLES);
+    record.eoseCount++;
+    record.consecutiveFailures = 0;
+    record.lastSuccessAt = Date.now();
+    record.status = "connected";
+    this.#notify();
+  }
+
+  recordEvent(url) {
+    const record = this.#getRecord(url);
+    if (record) record.eventCount++;
+  }
+
+  /**
+   * 購読の終了を記録（EOSE前に閉じられた場合は失敗として扱う）
+   * @param {string} url
+   * @param {string} reason
+   * @param {boolean} afterEose
+   */
+  recordClosed(url, reason, afterEose) {
+    if (CALLER_CLOSE_REASONS.includes(reason)) return;
+
+    if (!afterEose) {
+      this.recordFailure(url, reason);
+      return;
+    }
+
+    const record = this.#getRecord(url);
+    if (!record) return;
+    this.#pushMessage(record, "closed", reason);
+    this.#notify();
+  }
+
+  recordFailure(url, reason) {
+    const record = this.#getRecord(url);
+    if (!record) return;
+
+    record.errorCount++;
+    record.consecutiveFailures++;
+    record.lastError = reason ? String(reason) : "unknown error";
+    record.lastFailureAt = Date.now();
+    record.status = "failed";
+    this.#pushMessage(record, "closed", record.lastError);
+    this.#notify();
+  }
+
+  recordNotice(url, message) {
+    const record = this.#getRecord(url);
+    if (!record) return;
+    this.#pushMessage(record, "notice", message);
+    this.#notify();
+  }
+
+  /**
+   * 連続失敗がしきい値未満、またはクールダウンが明けていれば利用可能
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isAvailable(url) {
+    const record = this.#records.get(normalizeRelayUrl(url));
+    if (!record) return true;
+
+    const { FAILURE_THRESHOLD, COOLDOWN } = APP_CONFIG.RELAY_HEALTH_CONFIG;
+    return record.consecutiveFailures < FAILURE_THRESHOLD ||
+      Date.now() - record.lastFailureAt >= COOLDOWN;
+  }
+
+  /**
+   * クールダウン中のリレーを除外し、応答の速いリレーから順に並べる
+   * すべて除外される場合は元のリストをそのまま返す
+   * @param {string[]} relayUrls
+   * @returns {string[]}
+   */
+  prioritize(relayUrls) {
+    if (!relayUrls?.length) return [];
+
+    const available = relayUrls.filter(url => this.isAvailable(url));
+    if (!available.length) return [...relayUrls];
+
+    return available
+      .map((url, index) => ({ url, index, score: this.#score(url) }))
+      .sort((a, b) => a.score - b.score || a.index - b.index)
+      .map(({ url }) => url);
+  }
+
+  /**
+   * デバッグ用のスナップショット
+   * @param {string[]} [relayUrls] 指定した場合はそのリレーのみ（未使用のリレーはunknown）
+   * @returns {RelayHealth[]}
+   */
+  getHealthReport(relayUrls) {
+    const urls = relayUrls
+      ? [...new Set(relayUrls.map(normalizeRelayUrl).filter(Boolean))]
+      : [...this.#records.keys()];
+    return urls.map(url => this.#toReport(url, this.#records.get(url)));
+  }
+
+  /**
+   * @param {function(): void} listener
+   * @returns {function(): void} 登録解除
+   */
+  onChange(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  clear() {
+    this.#records.clear();
+    this.#notify();
+  }
+
+  // 失敗の多いリレーほど後ろに、未計測のリレーは計測済みの後ろに並べる
+  #score(url) {
+    const record = this.#records.get(normalizeRelayUrl(url));
+    if (!record?.latencies.length) {
+      return (record?.consecutiveFailures || 0) * 100000 + 50000;
+    }
+    return record.consecutiveFailures * 100000 + this.#average(record.latencies);
+  }
+
+  #average(latencies) {
+    if (!latencies.length) return null;
+    return Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length);
+  }
+
+  #getRecord(url) {
+    const key = normalizeRelayUrl(url);
+    if (!key) return null;
+
+    if (!this.#records.has(key)) {
+      this.#records.set(key, this.#createRecord());
+    }
+    return this.#records.get(key);
+  }
+
+  #pushMessage(record, type, message) {
+    record.messages = [...record.messages, { type, message: String(message), at: Date.now() }]
+      .slice(-APP_CONFIG.RELAY_HEALTH_CONFIG.MAX_MESSAGES);
+  }
+
+  #toReport(url, record) {
+    const { latencies = [], ...rest } = record || this.#createRecord();
+    return {
+      url,
+      ...rest,
+      messages: [...rest.messages],
+      lastLatency: latencies.length ? latencies[latencies.length - 1] : null,
+      averageLatency: this.#average(latencies),
+      isAvailable: this.isAvailable(url),
+    };
+  }
+
+  #createRecord() {
+    return {
+      status: "unknown",
+      latencies: [],
+      requestCount: 0,
+      eoseCount: 0,
+      eventCount: 0,
+      errorCount: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      messages: [],
+    };
+  }
+
+  #notify() {
+    this.#listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error("Relay health listener error:", error);
+      }
+    });
+  }
+}
+
+export const relayHealthMonitor = new RelayHealthMonitor();
@@ -0,0 +1,65 @@
+import { APP_CONFIG } from "./AppSettings.js";
+import { cacheManager } from "./CacheManager.js";
+import { normalizeRelayUrl } from "./utils.js";
+
+/**
+ * NIP-11 リレー情報の取得と、対応しているNIPの判定
+ */
+export class RelayInfoManager {
+  /**
+   * @param {string} relayUrl
+   * @returns {Promise<Object|null>} 取得できなかった場合はnull
+   */
+  async fetchInfo(relayUrl) {
+    const url = normalizeRelayUrl(relayUrl);
+    if (!url) return null;
+
+    return cacheManager.relayInfoCache.getOrFetch(url, () => this.#fetchFromRelay(url));
+  }
+
+  /**
+   * @param {string} relayUrl
+   * @param {number} nip
+   * @returns {Promise<boolean>}
+   */
+  async supportsNip(relayUrl, nip) {
+    const info = await this.fetchInfo(relayUrl);
+    return Array.isArray(info?.supported_nips) && info.supported_nips.map(Number).includes(nip);
+  }
+
+  /**
+   * 指定したNIPへの対応を表明しているリレーのみを返す（順序は維持）
+   * @param {string[]} relayUrls
+   * @param {number} nip
+   * @returns {Promise<string[]>}
+   */
+  async filterByNip(relayUrls, nip) {
+    const results = await Promise.all(
+      (relayUrls || []).map(async url => ({ url, isSupported: await this.supportsNip(url, nip) }))
+    );
+    return results.filter(({ isSupported }) => isSupported).map(({ url }) => url);
+  }
+
+  async #fetchFromRelay(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(
+      () => controller.abort(),
+      APP_CONFIG.RELAY_INFO_CONFIG.FETCH_TIMEOUT
+    );
+
+    try {
+      const response = await fetch(url.replace(/^ws/, "http"), {
+        headers: { Accept: "application/nostr+json" },
+        signal: controller.signal,
+      });
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.debug("Failed to fetch relay information:", url, error);
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+export const relayInfoManager = new RelayInfoManager();
@@ -0,0 +1,80 @@
+/**
+ * NIP-07互換のsignerを扱う
+ * 既定ではwindow.nostrを使用し、setSignerで任意のsigner（ローカル鍵ペアなど）を注入できる
+ */
+export class SignerManager {
+  #signer = null;
+  #pubkeyPromise = null;
+
+  setSigner(signer) {
+    this.#signer = signer || null;
+    this.#pubkeyPromise = null;
+  }
+
+  getSigner() {
+    if (this.#signer) return this.#signer;
+    return typeof window !== "undefined" && window.nostr ? window.nostr : null;
+  }
+
+  hasSigner() {
+    return !!this.getSigner();
+  }
+
+  /**
+   * 閲覧者のpubkeyを取得（取得できない場合はnull）
+   * @returns {Promise<string|null>}
+   */
+  async getPublicKey() {
+    const signer = this.getSigner();
+    if (!signer?.getPublicKey) return null;
+
+    if (!this.#pubkeyPromise) {
+      this.#pubkeyPromise = Promise.resolve(signer.getPublicKey()).catch(error => {
+        console.debug("Failed to get public key from signer:", error);
+        this.#pubkeyPromise = null;
+        return null;
+      });
+    }
+    return this.#pubkeyPromise;
+  }
+
+  async nip04Decrypt(pubkey, ciphertext) {
+    const signer = this.getSigner();
+    if (!signer?.nip04?.decrypt) {
+      throw new Error("Signer does not support NIP-04 decryption");
+    }
+    return signer.nip04.decrypt(pubkey, ciphertext);
+  }
+
+  async nip44Decrypt(pubkey, ciphertext) {
+    const signer = this.getSigner();
+    if (!signer?.nip44?.decrypt) {
+      throw new Error("Signer does not support NIP-44 decryption");
+    }
+    return signer.nip44.decrypt(pubkey, ciphertext);
+  }
+}
+
+/**
+ * ローカルの秘密鍵からNIP-07互換のsignerを作成する（テストや開発用）
+ * @param {Uint8Array} secretKey
+ */
+export function createLocalSigner(secretKey) {
+  const { getPublicKey, finalizeEvent, nip04, nip44 } = window.NostrTools;
+  return {
+    getPublicKey: async () => getPublicKey(secretKey),
+    signEvent: async (event) => finalizeEvent(event, secretKey),
+    nip04: {
+      encrypt: async (pubkey, plaintext) => nip04.encrypt(secretKey, pubkey, plaintext),
+      decrypt: async (pubkey, ciphertext) => nip04.decrypt(secretKey, pubkey, ciphertext),
+    },
+    nip44: {
+      encrypt: async (pubkey, plaintext) =>
+        nip44.encrypt(plaintext, nip44.getConversationKey(secretKey, pubkey)),
+      decrypt: async (pubkey, ciphertext) =>
+        nip44.decrypt(ciphertext, nip44.getConversationKey(secretKey, pubkey)),
+    },
+  };
+}
+
+export const signerManager = new SignerManager();
@@ -0,0 +1,51 @@
+import { ZapReceipt } from "./ZapReceipt.js";
+
+/**
+ * @typedef {Object} SpamFilterOptions
+ * @property {number} minSats この金額未満のZapを除外
+ * @property {string[]} blockedPubkeys 除外する送信者（hex）
+ * @property {string[]} blockedWords コメントに含まれる場合に除外するワード（小文字）
+ * @property {boolean} hideSelfZaps 送信者と受信者が同じZapを除外
+ */
+
+/**
+ * ボタンごとの設定に基づくスパムZapの判定
+ */
+export class SpamFilter {
+  /**
+   * @param {Object} event kind 9735 イベント
+   * @param {SpamFilterOptions} [options]
+   * @returns {boolean} 除外する場合はtrue
+   */
+  isFiltered(event, options) {
+    if (!options || !this.isEnabled(options)) return false;
+
+    const receipt = ZapReceipt.fromEvent(event);
+    const { minSats, blockedPubkeys, blockedWords, hideSelfZaps } = options;
+
+    // 金額が不明なZapは最小金額を満たさないものとして扱う
+    if (minSats > 0 && Math.floor((receipt.invoiceMsats || 0) / 1000) < minSats) {
+      return true;
+    }
+    if (receipt.sender && blockedPubkeys?.includes(receipt.sender)) {
+      return true;
+    }
+    if (hideSelfZaps && receipt.sender && receipt.sender === receipt.recipient) {
+      return true;
+    }
+
+    const comment = receipt.comment.toLowerCase();
+    return !!blockedWords?.some(word => comment.includes(word));
+  }
+
+  isEnabled(options) {
+    return !!options && (
+      options.minSats > 0 ||
+      options.blockedPubkeys?.length > 0 ||
+      options.blockedWords?.length > 0 ||
+      !!options.hideSelfZaps
+    );
+  }
+}
+
+export const spamFilter = new SpamFilter();
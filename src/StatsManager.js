@@ -1,7 +1,8 @@
 import { APP_CONFIG } from "./AppSettings.js";
 import { displayZapStats } from "./UIManager.js";
-import { safeNip19Decode } from "./utils.js";
+import { decodeIdentifier } from "./utils.js";
 import { cacheManager } from "./CacheManager.js"; // Add import
+import { statsProviderRegistry, LocalAggregateStatsProvider } from "./StatsProviders.js";
 
 export class StatsManager {
   #currentStats = new Map();
@@ -11,29 +12,60 @@ export class StatsManager {
     // キャッシュ関連のプロパティを削除
   }
 
-  async getZapStats(identifier, viewId) {
+  /**
+   * @param {string} identifier
+   * @param {string} viewId
+   * @param {ViewerConfig} [config]
+   * @param {function(): boolean} [isCurrent] falseを返す場合は取得結果をキャッシュしない
+   */
+  async getZapStats(identifier, viewId, config = null, isCurrent = () => true) {
     const cached = await this.#checkCachedStats(viewId, identifier);
     if (cached) {
       return cached;
     }
 
-    const stats = await this.fetchStats(identifier);
-    if (stats) {
+    const stats = await this.fetchStats(identifier, config);
+    if (stats && isCurrent()) {
       cacheManager.updateStatsCache(viewId, identifier, stats);
     }
     return stats;
   }
 
-  async fetchStats(identifier) {
+  /**
+   * 登録されたプロバイダーに順に問い合わせる（data-stats-providers、未指定の場合はDEFAULT_CHAIN、naddrはADDRESS_CHAIN）
+   * data-stats-endpointがある場合は、自前のエンドポイントを最初に使う
+   * @param {string} identifier
+   * @param {ViewerConfig} [config]
+   */
+  async fetchStats(identifier, config = null) {
     try {
-      const response = await this._fetchFromApi(identifier);
-      const stats = this._formatStats(response);
+      const decoded = decodeIdentifier(identifier);
+      if (!decoded) return this.createTimeoutError();
+
+      // 購読と同じフィルタから件数の制限を外したもの
+      const filter = { ...decoded.req };
+      delete filter.limit;
+      delete filter.until;
+
+      const stats = await statsProviderRegistry.fetchStats(identifier, filter, {
+        relayUrls: [...new Set([...(config?.relayUrls || []), ...(decoded.relayHints || [])])],
+        endpoint: config?.statsEndpoint,
+        validationPolicy: config?.validationPolicy,
+      }, this.#getProviderChain(config, decoded.type));
       return stats || this.createTimeoutError();
     } catch (error) {
       return this.handleFetchError(error);
     }
   }
 
+  #getProviderChain(config, type) {
+    if (config?.statsProviders) return config.statsProviders;
+
+    const { DEFAULT_CHAIN, ADDRESS_CHAIN } = APP_CONFIG.STATS_PROVIDER_CONFIG;
+    const chain = type === "naddr" ? ADDRESS_CHAIN : DEFAULT_CHAIN;
+    return config?.statsEndpoint ? ["custom", ...chain] : [...chain];
+  }
+
   createTimeoutError() {
     return { error: true, timeout: true };
   }
@@ -46,77 +78,35 @@ export class StatsManager {
     };
   }
 
-  async _fetchFromApi(identifier) {
-    const decoded = safeNip19Decode(identifier);
-    if (!decoded) return null;
-
-    const isProfile = decoded.type === "npub" || decoded.type === "nprofile";
-    const endpoint = `https://api.nostr.band/v0/stats/${
-      isProfile ? "profile" : "event"
-    }/${identifier}`;
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(
-      () => controller.abort(),
-      APP_CONFIG.REQUEST_CONFIG.REQUEST_TIMEOUT
-    );
-
-    try {
-      const response = await fetch(endpoint, { signal: controller.signal });
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      if (error.name === "AbortError") {
-        throw new Error("STATS_TIMEOUT");
-      }
-      throw error;
-    } finally {
-      clearTimeout(timeoutId);
-    }
-  }
-
-  _formatStats(responseData) {
-    if (!responseData?.stats) return null;
-
-    const stats = Object.values(responseData.stats)[0];
-    if (!stats) return null;
-
-    const formattedStats = {
-      count: parseInt(stats.zaps_received?.count || stats.zaps?.count || 0, 10),
-      msats: parseInt(stats.zaps_received?.msats || stats.zaps?.msats || 0, 10),
-      maxMsats: parseInt(
-        stats.zaps_received?.max_msats || stats.zaps?.max_msats || 0,
-        10
-      ),
-    };
-
-    return formattedStats;
-  }
-
-  async initializeStats(identifier, viewId, showSkeleton = false) {
+  /**
+   * @param {string} identifier
+   * @param {string} viewId
+   * @param {boolean} [showSkeleton]
+   * @param {ViewerConfig} [config] 期間の指定と、統計のプロバイダーの設定
+   */
+  async initializeStats(identifier, viewId, showSkeleton = false, config = null) {
 
     if (showSkeleton) {
       // スケルトン表示を即座に行う
       this.displayStats({ skeleton: true }, viewId);
     }
 
-    if (this.#initializationStatus.has(viewId)) {
-      return this.#initializationStatus.get(viewId);
+    // 期間を指定したビューはプロバイダーの全期間の集計を使わず、取得したZapから集計する（computeLocalStats）
+    if (config?.hasTimeRange) {
+      return null;
     }
 
-    // naddrの場合は即座にtimeoutを返す
-    const decoded = safeNip19Decode(identifier);
-    if (decoded?.type === "naddr") {
-      const timeoutStats = this.createTimeoutError();
-      this.displayStats(timeoutStats, viewId);
-      this.#currentStats.set(viewId, timeoutStats);
-      return timeoutStats;
+    if (this.#initializationStatus.has(viewId)) {
+      return this.#initializationStatus.get(viewId);
     }
 
+    // 取得中に期間が変更された（resetStatsされた）場合は、全期間の統計を表示・保存しない
+    const isCurrent = () => this.#initializationStatus.get(viewId) === initPromise;
     const initPromise = (async () => {
       try {
-        const stats = await this.getZapStats(identifier, viewId);
-        
+        const stats = await this.getZapStats(identifier, viewId, config, isCurrent);
+        if (!isCurrent()) return null;
+
         if (stats) {
           this.displayStats(stats, viewId);
           this.#currentStats.set(viewId, stats);
@@ -126,7 +116,7 @@ export class StatsManager {
         console.error("[Stats] Initialization failed:", error);
         return null;
       } finally {
-        this.#initializationStatus.delete(viewId);
+        if (isCurrent()) this.#initializationStatus.delete(viewId);
       }
     })();
 
@@ -136,37 +126,65 @@ export class StatsManager {
 
   async #checkCachedStats(viewId, identifier) {
     const cached = cacheManager.getCachedStats(viewId, identifier);
-    const now = Date.now();
-
-    if (cached) {
-    }
-
-    const result = cached && now - cached.timestamp < APP_CONFIG.REQUEST_CONFIG.CACHE_DURATION
+    return cached && Date.now() - cached.timestamp < APP_CONFIG.REQUEST_CONFIG.CACHE_DURATION
       ? cached.stats
       : null;
-
-    return result;
   }
 
   getCurrentStats(viewId) {
     return this.#currentStats.get(viewId);
   }
 
-  async handleZapEvent(event, viewId, identifier) {
+  /**
+   * 取得済みのZapから統計を集計する（期間を指定したビュー用）
+   * @param {string} viewId
+   * @param {string} identifier
+   * @param {string} validationPolicy
+   * @param {boolean} isComplete 期間内のZapをすべて取得済みか（falseの場合は件数に「+」を付けて表示）
+   * @param {Object[]} [hiddenEvents] スパムフィルタなどで一覧に表示しない、取得済みのZap
+   *   全期間の統計と同じく、表示条件によらずgetCountableAmountで数えられるレシートをすべて含める
+   */
+  async computeLocalStats(viewId, identifier, validationPolicy, isComplete, hiddenEvents = []) {
+    const events = [...cacheManager.getZapEvents(viewId), ...hiddenEvents];
+    const localStats = {
+      ...LocalAggregateStatsProvider.aggregate(events, validationPolicy),
+      provider: "loaded",
+      providerLabel: "loaded zaps",
+      isPartial: !isComplete,
+    };
+    cacheManager.updateStatsCache(viewId, identifier, localStats);
+    this.#currentStats.set(viewId, localStats);
+    await this.displayStats(localStats, viewId);
+    return localStats;
+  }
+
+  // 期間の変更時に、別の期間（または全期間）の統計が表示されないよう破棄する
+  resetStats(viewId, identifier) {
+    this.#initializationStatus.delete(viewId);
+    this.#currentStats.delete(viewId);
+    cacheManager.clearCachedStats(viewId, identifier);
+  }
+
+  async handleZapEvent(event, viewId, identifier, validationPolicy) {
     // リアルタイムイベントでない場合は早期リターン
     if (!event?.isRealTimeEvent) {
       return;
     }
 
     try {
-      const bolt11Tag = event.tags.find((tag) => tag[0].toLowerCase() === "bolt11")?.[1];
-      const amountMsats = this.extractAmountFromBolt11(bolt11Tag);
+      const amountMsats = LocalAggregateStatsProvider.getCountableAmount(event, validationPolicy);
 
       if (amountMsats <= 0) {
         return;
       }
 
+      // 集計中に届いたZapは、集計結果で上書きされないよう取得の完了を待ってから加算する
+      await this.#initializationStatus.get(viewId);
+
       const currentStats = cacheManager.getViewStats(viewId);
+      if (event.created_at <= currentStats?.aggregatedUntil) {
+        return;
+      }
 
       const baseStats = {
         count: currentStats?.count || 0,
@@ -175,6 +193,14 @@ export class StatsManager {
       };
 
       const updatedStats = {
+        // 取得元と、金額が不明かどうかは引き継ぐ
+        provider: currentStats?.provider,
+        providerLabel: currentStats?.providerLabel,
+        detail: currentStats?.detail,
+        detailTitle: currentStats?.detailTitle,
+        isAmountUnknown: !!currentStats?.isAmountUnknown,
+        isPartial: !!currentStats?.isPartial,
+        aggregatedUntil: currentStats?.aggregatedUntil,
         count: baseStats.count + 1,
         msats: baseStats.msats + amountMsats,
         maxMsats: Math.max(baseStats.maxMsats, amountMsats)
@@ -200,19 +226,6 @@ export class StatsManager {
     }
   }
 
-  extractAmountFromBolt11(bolt11) {
-    try {
-      const decoded = window.decodeBolt11(bolt11);
-      return parseInt(
-        decoded.sections.find((section) => section.name === "amount")?.value ?? "0",
-        10
-      );
-    } catch (error) {
-      console.error("Failed to decode bolt11:", error);
-      return 0;
-    }
-  }
-
   async displayStats(stats, viewId) {
     try {
       await displayZapStats(stats, viewId);
@@ -0,0 +1,297 @@
+import { APP_CONFIG } from "./AppSettings.js";
+import { eventPool } from "./EventPool.js";
+import { relayInfoManager } from "./RelayInfoManager.js";
+import { zapValidator } from "./ZapValidator.js";
+import { ZapReceipt } from "./ZapReceipt.js";
+import { ZapPaginator } from "./ZapPaginator.js";
+import { safeNip19Decode, normalizeRelayUrl } from "./utils.js";
+
+/**
+ * @typedef {Object} ZapStats
+ * @property {number} count
+ * @property {number} msats
+ * @property {number} maxMsats
+ * @property {boolean} [isAmountUnknown] 金額を取得できない場合（COUNTなど）
+ * @property {boolean} [isPartial] 一部のZapのみの集計の場合
+ * @property {number} [aggregatedUntil] この時刻までのレシートを集計済み（ライブのZapの二重計上を防ぐ）
+ * @property {string} [detail] 取得元の補足（StatsUIに表示）
+ * @property {string} [detailTitle] 補足のツールチップ
+ * @property {string} [provider] 統計を返したプロバイダーの名前（レジストリが付与）
+ * @property {string} [providerLabel] 表示用の名前（レジストリが付与）
+ */
+
+/**
+ * @typedef {Object} StatsContext
+ * @property {string[]} [relayUrls] ビューの購読先
+ * @property {string} [endpoint] data-stats-endpointのURLテンプレート
+ * @property {string} [validationPolicy]
+ * @property {AbortSignal} [signal] タイムアウト時に中断される
+ */
+
+/**
+ * 統計のプロバイダーは getStats(identifier, filter, context) を持つオブジェクト
+ * 統計を返せない場合はnullを返し、レジストリが次のプロバイダーに問い合わせる
+ * @typedef {Object} StatsProvider
+ * @property {string} name data-stats-providersで指定する名前
+ * @property {string} label StatsUIに表示する名前
+ * @property {number} [timeout] 応答の最大待ち時間（ms）
+ * @property {function(string, Object, StatsContext): Promise<ZapStats|null>} getStats
+ */
+
+const stripScheme = (url) => url.replace(/^wss?:\/\//, "");
+
+/**
+ * 統計APIのレスポンスを共通の形式に変換（nostr.bandの形式と、count/msats/max_msatsを持つ形式）
+ * @returns {ZapStats|null}
+ */
+function parseStatsResponse(data) {
+  if (!data) return null;
+
+  const stats = data.stats ? Object.values(data.stats)[0] : data;
+  if (!stats) return null;
+
+  const zaps = stats.zaps_received || stats.zaps || stats;
+  const count = parseInt(zaps.count, 10);
+  if (!Number.isInteger(count)) return null;
+
+  return {
+    count,
+    msats: parseInt(zaps.msats || 0, 10),
+    maxMsats: parseInt(zaps.max_msats || zaps.maxMsats || 0, 10),
+  };
+}
+
+async function fetchJson(url, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) throw new Error(`Stats request failed: ${response.status}`);
+  return response.json();
+}
+
+export class NostrBandStatsProvider {
+  name = "nostr.band";
+  label = "nostr.band";
+  timeout = APP_CONFIG.REQUEST_CONFIG.REQUEST_TIMEOUT;
+
+  async getStats(identifier, _filter, { signal } = {}) {
+    const decoded = safeNip19Decode(identifier);
+    // naddrの統計はnostr.bandにない
+    if (!decoded || decoded.type === "naddr") return null;
+
+    const isProfile = decoded.type === "npub" || decoded.type === "nprofile";
+    const endpoint = `https://api.nostr.band/v0/stats/${
+      isProfile ? "profile" : "event"
+    }/${identifier}`;
+    return parseStatsResponse(await fetchJson(endpoint, signal));
+  }
+}
+
+/**
+ * 自前の統計エンドポイント（data-stats-endpoint）
+ * {identifier} と {type}（profile/event/address）を置き換えたURLから取得する
+ */
+export class EndpointStatsProvider {
+  name = "custom";
+  label = "custom endpoint";
+  timeout = APP_CONFIG.REQUEST_CONFIG.REQUEST_TIMEOUT;
+
+  async getStats(identifier, _filter, { endpoint, signal } = {}) {
+    if (!endpoint) return null;
+
+    const decoded = safeNip19Decode(identifier);
+    if (!decoded) return null;
+
+    const values = { identifier, type: EndpointStatsProvider.#getType(decoded.type) };
+    const url = endpoint.replace(/\{(\w+)\}/g, (match, key) =>
+      values[key] !== undefined ? encodeURIComponent(values[key]) : match
+    );
+
+    const stats = parseStatsResponse(await fetchJson(url, signal));
+    return stats && { ...stats, detail: new URL(url).host };
+  }
+
+  static #getType(type) {
+    if (type === "npub" || type === "nprofile") return "profile";
+    if (type === "naddr") return "address";
+    return "event";
+  }
+}
+
+/**
+ * NIP-11で対応を表明しているリレーへのNIP-45 COUNT
+ * リレーごとに保持している件数が異なるため、最も多い件数を採用する（金額は不明）
+ */
+export class CountStatsProvider {
+  name = "count";
+  label = "NIP-45 COUNT";
+  timeout = APP_CONFIG.RELAY_INFO_CONFIG.FETCH_TIMEOUT + APP_CONFIG.COUNT_CONFIG.TIMEOUT;
+
+  async getStats(_identifier, filter, { relayUrls = [] } = {}) {
+    const candidates = [...new Set(relayUrls.map(normalizeRelayUrl).filter(Boolean))];
+    const countRelays = (await relayInfoManager.filterByNip(candidates, 45))
+      .slice(0, APP_CONFIG.COUNT_CONFIG.MAX_RELAYS);
+    if (!countRelays.length) return null;
+
+    const results = (await Promise.all(
+      countRelays.map(async url => ({ url, count: await eventPool.countEvents(url, filter) }))
+    )).filter(({ count }) => count !== null);
+    if (!results.length) return null;
+
+    const best = results.reduce((max, result) => result.count > max.count ? result : max);
+    return {
+      count: best.count,
+      msats: 0,
+      maxMsats: 0,
+      isAmountUnknown: true,
+      detail: `${stripScheme(best.url)}${results.length > 1 ? ` (max of ${results.length} relays)` : ""}`,
+      detailTitle: results.map(({ url, count }) => `${stripScheme(url)}: ${count}`).join("\n"),
+    };
+  }
+}
+
+/**
+ * リレーから取得できるレシートをページングしてすべて集計する
+ * 上限の件数か制限時間に達した場合は、それまでの集計を一部の結果として返す
+ */
+export class LocalAggregateStatsProvider {
+  name = "local";
+  label = "local aggregation";
+  timeout = APP_CONFIG.STATS_PROVIDER_CONFIG.LOCAL_TIMEOUT + APP_CONFIG.PAGINATION_CONFIG.PAGE_TIMEOUT;
+
+  async getStats(_identifier, filter, { relayUrls = [], validationPolicy, signal } = {}) {
+    if (!relayUrls.length) return null;
+
+    const { LOCAL_TIMEOUT, LOCAL_MAX_EVENTS } = APP_CONFIG.STATS_PROVIDER_CONFIG;
+    const deadline = Date.now() + LOCAL_TIMEOUT;
+    // 集計中に届いたライブのZapはhandleZapEventで加算するため、開始時刻までに区切る
+    const aggregatedUntil = Math.min(filter.until ?? Infinity, Math.floor(Date.now() / 1000));
+    const paginator = new ZapPaginator({
+      baseReq: { ...filter, until: aggregatedUntil },
+      relayUrls,
+      fetchPage: (url, pageFilter) => eventPool.fetchRelayPage(url, pageFilter),
+      pageSize: APP_CONFIG.STATS_PROVIDER_CONFIG.LOCAL_PAGE_SIZE,
+    });
+
+    const events = await paginator.collect(LOCAL_MAX_EVENTS, { deadline, signal });
+
+    return {
+      ...LocalAggregateStatsProvider.aggregate(events, validationPolicy),
+      isPartial: !paginator.isExhausted,
+      aggregatedUntil,
+      detail: `${events.length} receipts`,
+    };
+  }
+
+  /**
+   * @param {Object[]} events kind 9735 イベント
+   * @param {string} validationPolicy
+   * @returns {{count: number, msats: number, maxMsats: number}}
+   */
+  static aggregate(events, validationPolicy) {
+    return events.reduce((stats, event) => {
+      const amountMsats = LocalAggregateStatsProvider.getCountableAmount(event, validationPolicy);
+      if (amountMsats <= 0) return stats;
+      return {
+        count: stats.count + 1,
+        msats: stats.msats + amountMsats,
+        maxMsats: Math.max(stats.maxMsats, amountMsats),
+      };
+    }, { count: 0, msats: 0, maxMsats: 0 });
+  }
+
+  /**
+   * 統計に含める金額（検証に失敗したレシートや金額が一致しないレシートなど、含めない場合は0）
+   */
+  static getCountableAmount(event, validationPolicy) {
+    if (zapValidator.isExcludedFromStats(event, validationPolicy)) return 0;
+
+    const receipt = ZapReceipt.fromEvent(event);
+    if (receipt.isAmountMismatch) return 0;
+    return receipt.invoiceMsats || 0;
+  }
+}
+
+/**
+ * 統計のプロバイダーの登録と、フォールバックを伴う問い合わせ
+ */
+export class StatsProviderRegistry {
+  #providers = new Map();
+
+  /**
+   * @param {StatsProvider} provider
+   * @returns {function(): void} 登録解除
+   */
+  register(provider) {
+    const key = StatsProviderRegistry.#normalizeName(provider?.name);
+    if (!key || typeof provider.getStats !== "function") {
+      throw new Error("Stats provider requires a name and getStats()");
+    }
+    this.#providers.set(key, provider);
+    return () => {
+      if (this.#providers.get(key) === provider) this.#providers.delete(key);
+    };
+  }
+
+  get(name) {
+    return this.#providers.get(StatsProviderRegistry.#normalizeName(name));
+  }
+
+  /**
+   * 指定した順に問い合わせ、最初に統計を返したプロバイダーの結果を使う
+   * @param {string} identifier
+   * @param {Object} filter 購読と同じフィルタ（limit/untilなし）
+   * @param {StatsContext} context
+   * @param {string[]} names
+   * @returns {Promise<ZapStats|null>}
+   */
+  async fetchStats(identifier, filter, context, names) {
+    for (const name of names) {
+      const provider = this.get(name);
+      if (!provider) {
+        console.warn("Unknown stats provider:", name);
+        continue;
+      }
+
+      const stats = await this.#runWithTimeout(provider, identifier, filter, context);
+      if (stats) {
+        return { ...stats, provider: provider.name, providerLabel: provider.label || provider.name };
+      }
+    }
+    return null;
+  }
+
+  async #runWithTimeout(provider, identifier, filter, context) {
+    const controller = new AbortController();
+    let timeoutId;
+    const timeoutPromise = new Promise(resolve => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        resolve(null);
+      }, provider.timeout ?? APP_CONFIG.STATS_PROVIDER_CONFIG.TIMEOUT);
+    });
+
+    try {
+      return await Promise.race([
+        provider.getStats(identifier, { ...filter }, { ...context, signal: controller.signal }),
+        timeoutPromise,
+      ]);
+    } catch (error) {
+      console.warn(`Stats provider "${provider.name}" failed:`, error);
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // data-stats-providersと同じく、名前の大文字・小文字を区別しない
+  static #normalizeName(name) {
+    return String(name ?? "").trim().toLowerCase();
+  }
+}
+
+export const statsProviderRegistry = new StatsProviderRegistry();
+[
+  new NostrBandStatsProvider(),
+  new EndpointStatsProvider(),
+  new CountStatsProvider(),
+  new LocalAggregateStatsProvider(),
+].forEach(provider => statsProviderRegistry.register(provider));
@@ -1,6 +1,11 @@
 import { statsUI } from "./ui/StatsUI.js";
 import { ProfileUI } from "./ui/ProfileUI.js";
 import { ZapListUI } from "./ui/ZapListUI.js";
+import { RelayStatusUI } from "./ui/RelayStatusUI.js";
+import { TimeRangeUI } from "./ui/TimeRangeUI.js";
+import { AnalyticsUI } from "./ui/AnalyticsUI.js";
+import { LeaderboardUI } from "./ui/LeaderboardUI.js";
+import { TimelineChartUI } from "./ui/TimelineChartUI.js";
 import { DialogComponents } from "./DialogComponents.js";
 import { APP_CONFIG } from "./AppSettings.js";
 import styles from "./styles/styles.css";
@@ -95,6 +100,31 @@ class NostrZapViewDialog extends HTMLElement {
     this.statsUI = new statsUI(this.shadowRoot);
     this.profileUI = new ProfileUI();
     this.zapListUI = new ZapListUI(this.shadowRoot, this.profileUI, this.viewId, config);
+    this.relayStatusUI = new RelayStatusUI(
+      this.shadowRoot,
+      this.viewId,
+      () => subscriptionManager.getViewConfig(this.viewId)?.relayUrls
+    );
+    this.analyticsUI = new AnalyticsUI(
+      this.shadowRoot,
+      this.viewId,
+      () => subscriptionManager.getViewConfig(this.viewId),
+      () => subscriptionManager.isFullyLoaded(this.viewId),
+      () => subscriptionManager.getDisplayFilter(this.viewId)
+    );
+    this.timelineChartUI = new TimelineChartUI(this.shadowRoot, this.viewId, config);
+    this.leaderboardUI = new LeaderboardUI(
+      this.shadowRoot,
+      this.viewId,
+      () => subscriptionManager.getViewConfig(this.viewId),
+      () => subscriptionManager.isFullyLoaded(this.viewId),
+      () => subscriptionManager.getDisplayFilter(this.viewId)
+    );
+    this.timeRangeUI = new TimeRangeUI(
+      this.shadowRoot,
+      config,
+      (timeRange) => subscriptionManager.changeTimeRange(this.viewId, timeRange).catch(console.error)
+    );
 
     subscriptionManager.setZapListUI(this.zapListUI);
 
@@ -205,6 +235,11 @@ class NostrZapViewDialog extends HTMLElement {
     const dialog = this.#getElement(".dialog");
     if (dialog?.open) {
       this.zapListUI?.destroy();
+      this.relayStatusUI?.destroy();
+      this.analyticsUI?.destroy();
+      this.leaderboardUI?.destroy();
+      this.timelineChartUI?.destroy();
+      this.timeRangeUI?.destroy();
       // UIのクリーンアップのみを行い、キャッシュはそのまま保持
       subscriptionManager.unsubscribe(this.viewId);
       dialog.close();
@@ -0,0 +1,236 @@
+import { APP_CONFIG } from "./AppSettings.js";
+import { eventPool } from "./EventPool.js";
+import { cacheManager } from "./CacheManager.js";
+import { ZapReceipt } from "./ZapReceipt.js";
+import { ZapPaginator } from "./ZapPaginator.js";
+import { LocalAggregateStatsProvider } from "./StatsProviders.js";
+import { decodeIdentifier } from "./utils.js";
+
+/**
+ * @typedef {Object} ZapperTotal
+ * @property {string} pubkey
+ * @property {number} msats
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} ZapAnalyticsResult
+ * @property {number} count 集計したZapの件数
+ * @property {number} msats
+ * @property {number} uniqueZappers 匿名を除く送信者の数
+ * @property {number} anonymousCount 匿名・プライベートZapの件数（送信者を特定できない）
+ * @property {number} averageMsats
+ * @property {number} medianMsats
+ * @property {ZapperTotal|null} largestZapper 合計額が最も大きい送信者
+ * @property {number} topShare 上位TOP_SUPPORTERS人の合計額の割合（0〜1）
+ * @property {boolean} isComplete すべてのZapを集計したか
+ * @property {"loaded"|"backfill"} source
+ */
+
+/**
+ * 取得済みのレシート（cacheManager.getZapEvents）と、任意のバックフィルからの詳細な集計
+ * 金額の扱いは統計と同じ（LocalAggregateStatsProvider.getCountableAmount）
+ * 対象は一覧と同じ条件（loadDisplayFilterの述語）で絞り込み、取得済みのZapとバックフィルで区別しない
+ */
+export class ZapAnalytics {
+  #backfills = new Map();
+  #pendingBackfills = new Map();
+  #displayFilters = new Map();
+  #pendingFilters = new Map();
+  #listeners = new Set();
+
+  /**
+   * @param {string} viewId
+   * @param {string} validationPolicy
+   * @param {boolean} isFullyLoaded ビューのZapをすべて読み込み済みか
+   * @returns {ZapAnalyticsResult}
+   */
+  compute(viewId, validationPolicy, isFullyLoaded) {
+    const backfill = this.#backfills.get(viewId);
+    // 一覧のZapにはミュート対象が含まれ、バックフィルには一覧で除外したZapも含まれるため、同じ述語で絞り込む
+    const isDisplayable = this.#displayFilters.get(viewId);
+    const events = new Map();
+    [...(backfill?.events || []), ...cacheManager.getZapEvents(viewId)]
+      .filter(event => !isDisplayable || isDisplayable(event))
+      .forEach(event => events.set(event.id, event));
+
+    return {
+      ...ZapAnalytics.analyze([...events.values()], validationPolicy),
+      isComplete: isFullyLoaded || !!backfill?.isComplete,
+      source: backfill ? "backfill" : "loaded",
+    };
+  }
+
+  /**
+   * @param {Object[]} events kind 9735 イベント
+   * @param {string} validationPolicy
+   */
+  static analyze(events, validationPolicy) {
+    const { amounts, zappers, anonymous } = ZapAnalytics.groupBySender(events, validationPolicy);
+    const msats = amounts.reduce((sum, amount) => sum + amount, 0);
+    const ranking = [...zappers.values()].sort((a, b) => b.msats - a.msats || b.count - a.count);
+    const topMsats = ranking
+      .slice(0, APP_CONFIG.ANALYTICS_CONFIG.TOP_SUPPORTERS)
+      .reduce((sum, zapper) => sum + zapper.msats, 0);
+
+    return {
+      count: amounts.length,
+      msats,
+      uniqueZappers: zappers.size,
+      anonymousCount: anonymous.count,
+      averageMsats: amounts.length ? Math.round(msats / amounts.length) : 0,
+      medianMsats: ZapAnalytics.#median(amounts),
+      largestZapper: ranking[0] || null,
+      topShare: msats ? topMsats / msats : 0,
+    };
+  }
+
+  /**
+   * 送信者ごとの合計（匿名・プライベートZapは送信者を特定できないためanonymousにまとめる）
+   * @param {Object[]} events kind 9735 イベント
+   * @param {string} validationPolicy
+   * @returns {{amounts: number[], zappers: Map<string, ZapperTotal>, anonymous: {msats: number, count: number}}}
+   */
+  static groupBySender(events, validationPolicy) {
+    const amounts = [];
+    const zappers = new Map();
+    const anonymous = { msats: 0, count: 0 };
+
+    events.forEach(event => {
+      const amountMsats = LocalAggregateStatsProvider.getCountableAmount(event, validationPolicy);
+      if (amountMsats <= 0) return;
+
+      amounts.push(amountMsats);
+      const receipt = ZapReceipt.fromEvent(event);
+      if (receipt.isAnonymous || !receipt.sender) {
+        anonymous.msats += amountMsats;
+        anonymous.count++;
+        return;
+      }
+
+      const zapper = zappers.get(receipt.sender) || { pubkey: receipt.sender, msats: 0, count: 0 };
+      zapper.msats += amountMsats;
+      zapper.count++;
+      zappers.set(receipt.sender, zapper);
+    });
+
+    return { amounts, zappers, anonymous };
+  }
+
+  /**
+   * 集計の対象を絞り込む述語を読み込む（読み込むまでのcomputeは絞り込まないため、hasDisplayFilterで確認してから表示する）
+   * @param {string} viewId
+   * @param {function(): Promise<function(Object): boolean>} [getDisplayFilter]
+   *   一覧と同じ条件（スパムフィルタ・検証ポリシー・期間・ミュートリスト）で絞り込む述語
+   * @returns {Promise<void>}
+   */
+  loadDisplayFilter(viewId, getDisplayFilter) {
+    if (this.#displayFilters.has(viewId)) return Promise.resolve();
+    if (this.#pendingFilters.has(viewId)) return this.#pendingFilters.get(viewId);
+
+    const promise = Promise.resolve(getDisplayFilter?.())
+      .catch(error => {
+        console.warn("Failed to load analytics display filter:", error);
+        return null;
+      })
+      .then(isDisplayable => {
+        this.#displayFilters.set(viewId, isDisplayable || null);
+        this.#pendingFilters.delete(viewId);
+        this.notifyChange(viewId);
+      });
+    this.#pendingFilters.set(viewId, promise);
+    return promise;
+  }
+
+  hasDisplayFilter(viewId) {
+    return this.#displayFilters.has(viewId);
+  }
+
+  /**
+   * 期間内のレシートを上限の件数か制限時間に達するまで取得し、以降の集計に含める
+   * @param {string} viewId
+   * @param {ViewerConfig} config
+   * @returns {Promise<void>}
+   */
+  backfill(viewId, config) {
+    if (this.#pendingBackfills.has(viewId)) return this.#pendingBackfills.get(viewId);
+
+    // 取得中に期間が変更された（clearされた）場合は結果を破棄する
+    const isCurrent = () => this.#pendingBackfills.get(viewId) === promise;
+    const promise = this.#runBackfill(config)
+      .then(result => {
+        if (result && isCurrent()) this.#backfills.set(viewId, result);
+      })
+      .catch(error => console.warn("Analytics backfill failed:", error))
+      .finally(() => {
+        if (isCurrent()) this.#pendingBackfills.delete(viewId);
+        this.notifyChange(viewId);
+      });
+    this.#pendingBackfills.set(viewId, promise);
+    this.notifyChange(viewId);
+    return promise;
+  }
+
+  isBackfilling(viewId) {
+    return this.#pendingBackfills.has(viewId);
+  }
+
+  async #runBackfill(config) {
+    const decoded = decodeIdentifier(config.identifier, null, config.timeRange);
+    if (!decoded) return null;
+
+    const { BACKFILL_TIMEOUT, BACKFILL_MAX_EVENTS } = APP_CONFIG.ANALYTICS_CONFIG;
+    const paginator = new ZapPaginator({
+      baseReq: decoded.req,
+      relayUrls: eventPool.getZapRelayUrls(config, decoded),
+      fetchPage: (url, filter) => eventPool.fetchRelayPage(url, filter),
+      pageSize: APP_CONFIG.STATS_PROVIDER_CONFIG.LOCAL_PAGE_SIZE,
+    });
+    const events = await paginator.collect(BACKFILL_MAX_EVENTS, {
+      deadline: Date.now() + BACKFILL_TIMEOUT,
+    });
+    return { events, isComplete: paginator.isExhausted };
+  }
+
+  /**
+   * ビューのZapが変わったことを通知する（ZapManagerから呼ばれる）
+   * @param {string} viewId
+   */
+  notifyChange(viewId) {
+    this.#listeners.forEach(listener => {
+      try {
+        listener(viewId);
+      } catch (error) {
+        console.error("Analytics listener error:", error);
+      }
+    });
+  }
+
+  /**
+   * @param {function(string): void} listener
+   * @returns {function(): void} 登録解除
+   */
+  onChange(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  // 期間の変更時に、別の期間のバックフィルを破棄する
+  clear(viewId) {
+    this.#backfills.delete(viewId);
+    this.#pendingBackfills.delete(viewId);
+    this.notifyChange(viewId);
+  }
+
+  static #median(values) {
+    if (!values.length) return 0;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[middle]
+      : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+}
+
+export const zapAnalytics = new ZapAnalytics();
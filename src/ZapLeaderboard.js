@@ -0,0 +1,184 @@
+import { APP_CONFIG } from "./AppSettings.js";
+import { eventPool } from "./EventPool.js";
+import { cacheManager } from "./CacheManager.js";
+import { ZapPaginator } from "./ZapPaginator.js";
+import { ZapAnalytics } from "./ZapAnalytics.js";
+import { decodeIdentifier } from "./utils.js";
+
+/**
+ * @typedef {Object} LeaderboardEntry
+ * @property {string|null} pubkey 匿名の場合はnull
+ * @property {boolean} isAnonymous 匿名・プライベートZapをまとめたもの
+ * @property {number} msats
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} LeaderboardRanking
+ * @property {LeaderboardEntry[]} entries
+ * @property {number} eventCount 集計したレシートの件数（金額のないものを含む）
+ * @property {boolean} isLoading
+ * @property {boolean} isComplete すべてのレシートを集計したか
+ * @property {boolean} isLimitReached 取得の上限に達して止めたか
+ */
+
+/**
+ * 送信者ごとのランキング（ダイアログのLeaderboardタブ）
+ * 一覧とは別に、上限（data-leaderboard-limit）に達するまで古いレシートを遡って取得する
+ * 一覧に表示済みのZapやライブのZapも合わせて集計する
+ */
+export class ZapLeaderboard {
+  #states = new Map();
+  #listeners = new Set();
+
+  /**
+   * 取得を開始（または再開）する。タブを開いている間だけ遡る
+   * @param {string} viewId
+   * @param {ViewerConfig} config
+   * @param {function(): Promise<function(Object): boolean>} [getDisplayFilter]
+   *   一覧と同じ条件（スパムフィルタ・検証ポリシー・期間・ミュートリスト）で絞り込む述語
+   * @returns {Promise<void>}
+   */
+  load(viewId, config, getDisplayFilter) {
+    const state = this.#getState(viewId, config);
+    if (!state) return Promise.resolve();
+    if (state.loading) return state.loading;
+
+    state.isActive = true;
+    state.loading = this.#runLoad(viewId, state, getDisplayFilter)
+      .catch(error => console.warn("Leaderboard fetch failed:", error))
+      .finally(() => {
+        state.loading = null;
+        this.#notify(viewId);
+      });
+    this.#notify(viewId);
+    return state.loading;
+  }
+
+  /**
+   * 取得中のページを受信した後で止める（タブの切り替え・ダイアログを閉じた場合）
+   * @param {string} viewId
+   */
+  pause(viewId) {
+    const state = this.#states.get(viewId);
+    if (state) state.isActive = false;
+  }
+
+  /**
+   * @param {string} viewId
+   * @param {string} validationPolicy
+   * @param {"sats"|"count"} sortBy
+   * @param {boolean} isFullyLoaded 一覧にすべてのZapを読み込み済みか
+   * @returns {LeaderboardRanking}
+   */
+  getRanking(viewId, validationPolicy, sortBy, isFullyLoaded) {
+    const state = this.#states.get(viewId);
+    const events = new Map(state?.events);
+    cacheManager.getZapEvents(viewId).forEach(event => events.set(event.id, event));
+    // 一覧のZapにはミュート対象が含まれるため、取得したZapと同じ述語で除外する
+    const isDisplayable = state?.isDisplayable;
+    if (isDisplayable) {
+      events.forEach((event, id) => {
+        if (!isDisplayable(event)) events.delete(id);
+      });
+    }
+
+    const { zappers, anonymous } = ZapAnalytics.groupBySender([...events.values()], validationPolicy);
+    const entries = [...zappers.values()].map(zapper => ({ ...zapper, isAnonymous: false }));
+    if (anonymous.count) {
+      entries.push({ pubkey: null, isAnonymous: true, ...anonymous });
+    }
+
+    const compare = sortBy === "count"
+      ? (a, b) => b.count - a.count || b.msats - a.msats
+      : (a, b) => b.msats - a.msats || b.count - a.count;
+    const isExhausted = !!state?.paginator.isExhausted;
+
+    return {
+      entries: entries.sort(compare),
+      eventCount: events.size,
+      isLoading: !!state?.loading,
+      isComplete: isFullyLoaded || isExhausted,
+      isLimitReached: !!state && !isExhausted && state.fetchedCount >= state.limit,
+    };
+  }
+
+  /**
+   * @param {function(string): void} listener
+   * @returns {function(): void} 登録解除
+   */
+  onChange(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  // 期間の変更時に、別の期間の取得結果を破棄する
+  clear(viewId) {
+    this.pause(viewId);
+    this.#states.delete(viewId);
+    this.#notify(viewId);
+  }
+
+  async #runLoad(viewId, state, getDisplayFilter) {
+    const { PAGE_SIZE } = APP_CONFIG.LEADERBOARD_CONFIG;
+    const { limit } = state;
+
+    if (!state.isDisplayable && getDisplayFilter) {
+      const isDisplayable = await getDisplayFilter();
+      if (this.#states.get(viewId) !== state) return;
+      state.isDisplayable = isDisplayable;
+      this.#notify(viewId);
+    }
+
+    // 上限は除外したものを含めた取得件数で判定する（除外が多い場合に遡り続けないため）
+    while (state.isActive && !state.paginator.isExhausted && state.fetchedCount < limit) {
+      const events = await state.paginator.loadMore(Math.min(PAGE_SIZE, limit - state.fetchedCount));
+      // 取得中にclearされた場合は破棄する
+      if (this.#states.get(viewId) !== state) return;
+
+      state.fetchedCount += events.length;
+      events
+        .filter(event => !state.isDisplayable || state.isDisplayable(event))
+        .forEach(event => state.events.set(event.id, event));
+      this.#notify(viewId);
+      // 応答しないリレーだけが残った場合は、次にタブを開いたときに再試行する
+      if (state.paginator.isStalled) break;
+    }
+  }
+
+  #getState(viewId, config) {
+    if (this.#states.has(viewId)) return this.#states.get(viewId);
+
+    const decoded = decodeIdentifier(config.identifier, null, config.timeRange);
+    if (!decoded) return null;
+
+    const state = {
+      paginator: new ZapPaginator({
+        baseReq: decoded.req,
+        relayUrls: eventPool.getZapRelayUrls(config, decoded),
+        fetchPage: (url, filter) => eventPool.fetchRelayPage(url, filter),
+        pageSize: APP_CONFIG.LEADERBOARD_CONFIG.PAGE_SIZE,
+      }),
+      events: new Map(),
+      fetchedCount: 0,
+      isDisplayable: null, // 一覧と同じ絞り込みの述語（最初のload時に取得する）
+      limit: config.leaderboardLimit,
+      isActive: false,
+      loading: null,
+    };
+    this.#states.set(viewId, state);
+    return state;
+  }
+
+  #notify(viewId) {
+    this.#listeners.forEach(listener => {
+      try {
+        listener(viewId);
+      } catch (error) {
+        console.error("Leaderboard listener error:", error);
+      }
+    });
+  }
+}
+
+export const zapLeaderboard = new ZapLeaderboard();
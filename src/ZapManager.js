@@ -1,10 +1,18 @@
-import { decodeIdentifier, isEventIdentifier } from "./utils.js";
+import { decodeIdentifier, isEventIdentifier, safeNip19Decode } from "./utils.js";
 import { APP_CONFIG } from "./AppSettings.js";
 import { statsManager } from "./StatsManager.js";
 import { eventPool } from "./EventPool.js";
 import { cacheManager } from "./CacheManager.js";
 import { profilePool } from "./ProfilePool.js";
 import { DialogComponents } from "./DialogComponents.js";  // 追加
+import { zapValidator } from "./ZapValidator.js";
+import { ZapReceipt } from "./ZapReceipt.js";
+import { spamFilter } from "./SpamFilter.js";
+import { relayDiscovery } from "./RelayDiscovery.js";
+import { ZapPaginator } from "./ZapPaginator.js";
+import { zapAnalytics } from "./ZapAnalytics.js";
+import { zapLeaderboard } from "./ZapLeaderboard.js";
+import { muteListManager } from "./MuteListManager.js";
 
 class ZapSubscriptionManager {
   constructor() {
@@ -14,11 +22,22 @@ class ZapSubscriptionManager {
     // 追加: private フィールドを初期化
     this.#subscriptions = new Map();
     this.#state = new Map();
+    this.#recipients = new Map();
+    this.#bufferIntervals = new Map();
+    this.#paginators = new Map();
+    this.#timeRanges = new Map();
+    this.#hiddenZaps = new Map();
+    this._initializeVisibilityHandling();
   }
 
   // Private フィールド宣言を追加
   #subscriptions;
   #state;
+  #recipients;
+  #bufferIntervals;
+  #paginators;
+  #timeRanges;
+  #hiddenZaps;
 
   // 基本設定メソッド
   setZapListUI(zapListUI) {
@@ -26,6 +45,10 @@ class ZapSubscriptionManager {
   }
 
   setViewConfig(viewId, config) {
+    // ダイアログの期間選択で変更した期間は、ボタンから設定を作り直しても維持する
+    if (this.#timeRanges.has(viewId)) {
+      config.timeRange = { ...this.#timeRanges.get(viewId) };
+    }
     this.viewConfigs.set(viewId, config);
     // DialogComponentsにも設定を共有
     DialogComponents.viewConfigs.set(viewId, config);
@@ -73,14 +96,13 @@ class ZapSubscriptionManager {
       }
 
       try {
-        const aTag = event.tags.find(t => Array.isArray(t) && t[0] === 'a');
-        if (aTag?.[1]) {
-          return await eventPool.fetchReference(config.relayUrls, event, 'a');
+        const { address, eventId, eventRelayHints } = ZapReceipt.fromEvent(event);
+        if (address) {
+          return await eventPool.fetchReference(address, 'a');
         }
 
-        const eTag = event.tags.find(t => Array.isArray(t) && t[0] === 'e');
-        if (eTag?.[1] && /^[0-9a-f]{64}$/.test(eTag[1].toLowerCase())) {
-          return await eventPool.fetchReference(config.relayUrls, event, 'e');
+        if (eventId && /^[0-9a-f]{64}$/.test(eventId.toLowerCase())) {
+          return await eventPool.fetchReference(eventId, 'e', eventRelayHints);
         }
 
         return null;
@@ -120,6 +142,36 @@ class ZapSubscriptionManager {
   }
 
   // 初期化関連メソッド
+  /**
+   * 受信者のNIP-65リレーリストから購読先のリレーを補完し、config.relayUrlsを更新する
+   * @returns {Promise<string[]>}
+   */
+  async discoverRelays(viewId) {
+    const config = this.getViewConfig(viewId);
+    if (!config) return [];
+
+    const explicitRelays = config.relayUrls || [];
+    try {
+      // ノートの作成者を参照取得で解決できるよう、先に既知のリレーを設定しておく
+      await eventPool.connectToRelays(
+        explicitRelays.length ? explicitRelays : APP_CONFIG.RELAY_DISCOVERY_CONFIG.BOOTSTRAP_RELAYS
+      );
+      const recipientPubkey = await this._resolveRecipientPubkey(viewId);
+      config.relayUrls = await relayDiscovery.resolveRelayUrls(
+        explicitRelays,
+        recipientPubkey ? [recipientPubkey] : []
+      );
+    } catch (error) {
+      console.warn("Relay discovery failed:", error);
+      if (!explicitRelays.length) {
+        config.relayUrls = [...APP_CONFIG.RELAY_DISCOVERY_CONFIG.BOOTSTRAP_RELAYS];
+      }
+    }
+
+    cacheManager.setRelayUrls(config.relayUrls);
+    return config.relayUrls;
+  }
+
   async initializeSubscriptions(config, viewId) {
     try {
       if (!this._isValidFilter(config)) {
@@ -127,19 +179,22 @@ class ZapSubscriptionManager {
         throw new Error("Invalid filter settings");
       }
 
-      const decoded = decodeIdentifier(config.identifier);
+      const decoded = decodeIdentifier(config.identifier, null, config.timeRange);
       if (!decoded) {
         console.warn("Failed to decode identifier:", config.identifier);
         throw new Error(APP_CONFIG.ZAP_CONFIG.ERRORS.DECODE_FAILED);
       }
 
       this._initializeLoadState(viewId);
+      this.#state.set(viewId, { isZapClosed: false });
+      // 初期取得中に届いたZapも取りこぼさないよう、ライブ購読は取得開始時刻から始める
+      const liveSince = Math.floor(Date.now() / 1000);
       
       // 初期ローディングスピナー表示を非同期で行う
       this._showInitialLoadingSpinner(viewId);
       
       // イベント収集を開始
-      const { batchEvents, lastEventTime } = await this._collectInitialEvents(viewId, config, decoded);
+      const { batchEvents, lastEventTime, receivedCount } = await this._collectInitialEvents(viewId, config, decoded);
       
       if (batchEvents?.length > 0) {
         // バッチ処理は非同期で行い、finalizationを遅らせない
@@ -147,7 +202,8 @@ class ZapSubscriptionManager {
       }
       
       // 即座にfinalizationを実行
-      await this.finalizeInitialization(viewId, lastEventTime);
+      await this.finalizeInitialization(viewId, lastEventTime, receivedCount);
+      this.startLiveSubscription(viewId, liveSince);
     } catch (error) {
       console.error("Subscription initialization error:", error);
       throw error;
@@ -162,9 +218,14 @@ class ZapSubscriptionManager {
     }
   }
 
-  async finalizeInitialization(viewId, lastEventTime) {
+  async finalizeInitialization(viewId, lastEventTime, receivedCount = 0) {
     const cachedEvents = cacheManager.getZapEvents(viewId);
     const list = this._getListElement(viewId);
+    // リレーごとのカーソルから、いずれかのリレーにまだ続きがあるかを判断する
+    const paginator = this.#paginators.get(viewId);
+    const hasMoreEvents = paginator
+      ? !paginator.isExhausted
+      : Math.max(cachedEvents.length, receivedCount) >= APP_CONFIG.REQ_CONFIG.INITIAL_LOAD_COUNT;
 
     const updateState = cacheManager.updateLoadState(viewId, {
         isInitialFetchComplete: true,
@@ -174,10 +235,40 @@ class ZapSubscriptionManager {
     await Promise.all([
         updateState,
         cachedEvents.length === 0 ? this.zapListUI?.showNoZapsMessage() : null,
-        cachedEvents.length >= APP_CONFIG.REQ_CONFIG.INITIAL_LOAD_COUNT ? this.setupInfiniteScroll(viewId) : null
+        hasMoreEvents ? this.setupInfiniteScroll(viewId) : null
     ]);
 
     list?.querySelector('.load-more-trigger')?.remove();
+    this._refreshLocalStats(viewId);
+  }
+
+  /**
+   * 期間を変更して取得し直す（ダイアログの期間選択から呼ばれる）
+   * @param {string} viewId
+   * @param {{since: number|null, until: number|null}} timeRange
+   */
+  async changeTimeRange(viewId, timeRange) {
+    const config = this.getViewConfig(viewId);
+    if (!config) return;
+
+    this.unsubscribe(viewId);
+    config.timeRange = { since: timeRange?.since ?? null, until: timeRange?.until ?? null };
+    this.#timeRanges.set(viewId, { ...config.timeRange });
+
+    // 別の期間のZapと統計を破棄する
+    this.#paginators.delete(viewId);
+    this.#hiddenZaps.delete(viewId);
+    cacheManager.setZapEvents(viewId, []);
+    cacheManager.setNoZapsState(viewId, false);
+    this.zapListUI?.clear();
+    statsManager.resetStats(viewId, config.identifier);
+    zapAnalytics.clear(viewId);
+    zapLeaderboard.clear(viewId);
+
+    await Promise.all([
+      this.initializeSubscriptions(config, viewId),
+      statsManager.initializeStats(config.identifier, viewId, true, config),
+    ]);
   }
 
   _initializeLoadState(viewId) {
@@ -251,15 +342,32 @@ class ZapSubscriptionManager {
     }
 
     this.loadMoreZaps(viewId).then(count => {
-      if (count === 0) {
+      const paginator = this.#paginators.get(viewId);
+      if (!paginator || paginator.isExhausted) {
         this._cleanupInfiniteScroll(viewId);
+        return;
       }
+      // フィルタで除外されて0件だった場合も、続きがあるので監視を続ける
+      // （応答しないリレーだけが残った場合は、再試行を繰り返さないよう次のスクロールを待つ）
+      if (count === 0 && !paginator.isStalled) this._rearmLoadTrigger(viewId);
     }).catch(error => {
       console.error('Infinite scroll load failed:', error);
       this._cleanupInfiniteScroll(viewId);
     });
   }
 
+  // トリガーが見えたままだと交差の変化が起きないため、監視し直して次の読み込みを発火させる
+  _rearmLoadTrigger(viewId) {
+    setTimeout(() => {
+      const observer = this.observers.get(viewId);
+      const trigger = this._getListElement(viewId)?.querySelector('.load-more-trigger');
+      if (!observer || !trigger) return;
+
+      observer.unobserve(trigger);
+      observer.observe(trigger);
+    }, APP_CONFIG.INFINITE_SCROLL.RETRY_DELAY);
+  }
+
   _cleanupInfiniteScroll(viewId) {
     const observer = this.observers.get(viewId);
     if (!observer) return;
@@ -280,7 +388,7 @@ class ZapSubscriptionManager {
     const state = cacheManager.getLoadState(viewId);
     const config = this.getViewConfig(viewId);
 
-    if (!this._canLoadMore(state, config)) {
+    if (!this._canLoadMore(viewId, state, config)) {
       console.warn('Cannot load more:', { 
         state: { 
           isLoading: state.isLoading, 
@@ -297,9 +405,11 @@ class ZapSubscriptionManager {
       
       if (loadedCount > 0) {
         const events = cacheManager.getZapEvents(viewId).slice(-loadedCount);
+        events.forEach(event => this._verifyZapProvider(event, viewId));
         await this.updateEventReferenceBatch(events, viewId);
         this.updateUIReferences(events);
       }
+      this._refreshLocalStats(viewId);
       return loadedCount;
     } finally {
       state.isLoading = false;
@@ -307,28 +417,43 @@ class ZapSubscriptionManager {
   }
 
   async _executeLoadMore(viewId, state, config) {
-    const decoded = decodeIdentifier(config.identifier, state.lastEventTime);
-    if (!decoded) {
-      console.warn('Failed to decode identifier for load more:', { 
-        identifier: config.identifier, 
-        lastEventTime: state.lastEventTime 
-      });
-      return 0;
-    }
-
     const batchEvents = [];
     const loadTimeout = setTimeout(() => {
+      // 続きの有無はpaginatorで判断するため、ここでは無限スクロールを止めない
       console.warn('Load timeout reached:', { 
         batchEventsCount: batchEvents.length, 
         viewId 
       });
-      if (batchEvents.length === 0) {
-        this._cleanupInfiniteScroll(viewId);
-      }
     }, APP_CONFIG.LOAD_TIMEOUT);
 
     try {
-      await this._collectEvents(viewId, config, decoded, batchEvents, APP_CONFIG.REQ_CONFIG.ADDITIONAL_LOAD_COUNT, state);
+      const batchSize = APP_CONFIG.REQ_CONFIG.ADDITIONAL_LOAD_COUNT;
+      const paginator = this._getPaginator(viewId, config, state);
+      if (!paginator) return 0;
+      let attempts = 0;
+
+      // フィルタで除外された分を補うため、表示できる件数が揃うまで読み込みを続ける
+      while (
+        batchEvents.length < batchSize &&
+        !paginator.isExhausted &&
+        attempts < APP_CONFIG.SPAM_FILTER_CONFIG.MAX_LOAD_MORE_ATTEMPTS
+      ) {
+        const events = await paginator.loadMore(batchSize - batchEvents.length);
+        attempts++;
+        // ダイアログを閉じた場合や、期間の変更で取得し直した場合は破棄する
+        if (this.#state.get(viewId)?.isZapClosed || this.#paginators.get(viewId) !== paginator) return 0;
+
+        events.forEach(event => {
+          state.lastEventTime = Math.min(state.lastEventTime ?? event.created_at, event.created_at);
+          if (this._isDisplayable(event, viewId)) {
+            batchEvents.push(event);
+          } else if (this._trackHiddenZap(event, viewId)) {
+            this._verifyZapProvider(event, viewId);
+          }
+        });
+        // 応答しないリレーだけが残った場合は、次のスクロールで再試行する
+        if (paginator.isStalled) break;
+      }
 
       if (batchEvents.length > 0) {
         await this._processBatchEvents(batchEvents, viewId);
@@ -342,60 +467,126 @@ class ZapSubscriptionManager {
     }
   }
 
-  async _collectEvents(viewId, config, decoded, batchEvents, batchSize, state) {
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error('Load timeout')), 
-        APP_CONFIG.LOAD_TIMEOUT);
-
-      eventPool.subscribeToZaps(viewId, config, decoded, {
-        onevent: (event) => {
-          if (event.created_at < state.lastEventTime) {
-            batchEvents.push(event);
-            state.lastEventTime = Math.min(state.lastEventTime, event.created_at);
-            
-            if (batchEvents.length >= batchSize) {
-              clearTimeout(timeout);
-              resolve();
-            }
-          }
-        },
-        oneose: () => {
-          clearTimeout(timeout);
-          resolve();
-        }
-      });
-    });
-  }
-
   async _collectInitialEvents(viewId, config, decoded) {
     const batchEvents = [];
     let lastEventTime = null;
+    let receivedCount = 0;
+    // 追加読み込みのカーソルを決めるため、リレーごとの受信結果を記録する
+    const relayPages = new Map();
+    const getRelayPage = (url) => {
+      if (!relayPages.has(url)) relayPages.set(url, { events: [], isComplete: false });
+      return relayPages.get(url);
+    };
     
     return new Promise((resolve) => {
-      const bufferInterval = this._setupBufferInterval(batchEvents, viewId);
+      this._setupBufferInterval(batchEvents, viewId);
       
-      // サブスクリプションを保存
       const subscription = eventPool.subscribeToZaps(viewId, config, decoded, {
+        onrelayevent: (url, event) => getRelayPage(url).events.push(event),
+        onrelayeose: (url) => {
+          getRelayPage(url).isComplete = true;
+        },
         onevent: (event) => {
+          receivedCount++;
           const currentLastTime = this._handleInitialEvent(event, batchEvents, lastEventTime, viewId);
           if (currentLastTime !== null) {
             lastEventTime = currentLastTime;
           }
         },
         oneose: () => {
-          clearInterval(bufferInterval);
-          resolve({ batchEvents: [...batchEvents], lastEventTime });
+          this._clearBufferInterval(viewId);
+          // 履歴の取得はEOSEで終了し、以降の新着はライブ購読で受け取る
+          subscription?.close();
+
+          const paginator = this._createPaginator(viewId, config, decoded);
+          relayPages.forEach(({ events, isComplete }, url) => {
+            paginator.seed(url, events, decoded.req.limit, isComplete);
+          });
+          resolve({ batchEvents: [...batchEvents], lastEventTime, receivedCount });
         }
       });
+    });
+  }
+
+  /**
+   * EOSE後も開いたままにする購読（since以降の新しいZapのみ）
+   * ダイアログを閉じるとunsubscribeで終了する
+   * @param {string} viewId
+   * @param {number} since この時刻以降のZapを受信する（unix秒）
+   */
+  startLiveSubscription(viewId, since) {
+    const config = this.getViewConfig(viewId);
+    if (!config?.liveMode || this.#state.get(viewId)?.isZapClosed) return;
+    if (this.#subscriptions.get(viewId)?.live) return;
+    // 期間の終わりが過ぎている場合は新着を待たない
+    if ((config.timeRange?.until ?? Infinity) < Math.floor(Date.now() / 1000)) return;
+
+    const decoded = decodeIdentifier(config.identifier, null, config.timeRange);
+    if (!decoded) return;
+
+    // 件数制限とuntilを外し、since以降を購読し続ける
+    const req = { ...decoded.req };
+    delete req.limit;
+    delete req.until;
+    const live = eventPool.subscribeToLiveZaps(
+      viewId,
+      config,
+      { ...decoded, req },
+      { onevent: (event) => this._handleLiveEvent(event, viewId) },
+      () => this._getBackfillSince(viewId, since)
+    );
+    this.#subscriptions.set(viewId, { live });
+  }
+
+  /**
+   * ダイアログを再表示した際にライブ購読を再開する
+   * キャッシュ済みの最新のZap以降を取得し、閉じていた間の新着も補う
+   */
+  resumeLiveSubscription(viewId) {
+    this.#state.set(viewId, { isZapClosed: false });
+    this.startLiveSubscription(viewId, Math.floor(Date.now() / 1000));
+  }
+
+  // (再)接続時の取得の起点。キャッシュ済みの最新のZap（同時刻の取りこぼしを防ぐため含む）から取得する
+  _getBackfillSince(viewId, fallback) {
+    const [latestEvent] = cacheManager.getZapEvents(viewId);
+    if (!latestEvent) return fallback;
+    return Math.min(latestEvent.created_at, Math.floor(Date.now() / 1000));
+  }
+
+  _handleLiveEvent(event, viewId) {
+    const isDisplayable = this._isDisplayable(event, viewId);
+    const isNew = isDisplayable
+      ? cacheManager.addZapEvent(viewId, event)
+      : this._trackHiddenZap(event, viewId);
+    if (!isNew) return;
 
-      // サブスクリプションを保存
-      this.#subscriptions.set(viewId, { zap: subscription });
+    // ライブ購読で受け取ったZapは、一覧に表示しない場合も統計に反映する
+    event.isRealTimeEvent = true;
+    this._verifyZapProvider(event, viewId).then(() => this._updateStats(event, viewId));
+    if (!isDisplayable) return;
+
+    this.updateEventReference(event, viewId).then(hasReference => {
+      if (hasReference && this.zapListUI && event.reference) {
+        this.zapListUI.updateZapReference(event);
+      }
     });
+
+    this.zapListUI?.addLiveZap(event).catch(console.error);
   }
 
   _handleInitialEvent(event, batchEvents, lastEventTime, viewId) {
     const currentLastTime = Math.min(lastEventTime || event.created_at, event.created_at);
     
+    // 検証ポリシーやスパムフィルタで除外されたイベントはキャッシュに追加しない
+    if (!this._isDisplayable(event, viewId)) {
+      if (this._trackHiddenZap(event, viewId)) {
+        const providerCheck = this._verifyZapProvider(event, viewId);
+        if (event.isRealTimeEvent) providerCheck.then(() => this._updateStats(event, viewId));
+      }
+      return currentLastTime;
+    }
+
     if (cacheManager.addZapEvent(viewId, event)) {
       batchEvents.push(event);
       
@@ -405,10 +596,12 @@ class ZapSubscriptionManager {
         }
       });
 
+      const providerCheck = this._verifyZapProvider(event, viewId);
+
       // リアルタイムZapイベントの場合のみ統計情報を更新、設定を渡す
       if (event.isRealTimeEvent) {
-        const config = this.getViewConfig(viewId);
-        statsManager.handleZapEvent(event, viewId, config?.identifier);
+        // 提供者の検証後に統計へ反映する
+        providerCheck.then(() => this._updateStats(event, viewId));
 
         // すぐにUIを更新
         if (this.zapListUI) {
@@ -427,6 +620,149 @@ class ZapSubscriptionManager {
     return currentLastTime;
   }
 
+  _isDisplayable(event, viewId) {
+    if (!this._isInTimeRange(event, viewId)) return false;
+    if (!this._applyValidationPolicy(event, viewId)) return false;
+    return !spamFilter.isFiltered(event, this.getViewConfig(viewId)?.spamFilter);
+  }
+
+  /**
+   * スパムフィルタで一覧に表示しない期間内のZapを、統計の集計用に記録する
+   * 統計は一覧の表示条件（スパムフィルタ・ミュートリスト）によらず、プロバイダーの全期間の集計と同じく
+   * getCountableAmountで数えられるレシートをすべて含める
+   * @param {Object} event
+   * @param {string} viewId
+   * @returns {boolean} 新たに記録した場合はtrue
+   */
+  _trackHiddenZap(event, viewId) {
+    // 検証ポリシーで除外されたレシートは統計にも含めない
+    if (!event?.id || !this._isInTimeRange(event, viewId) || !this._applyValidationPolicy(event, viewId)) {
+      return false;
+    }
+
+    const hiddenZaps = this.#hiddenZaps.get(viewId) || new Map();
+    if (hiddenZaps.has(event.id)) return false;
+    this.#hiddenZaps.set(viewId, hiddenZaps.set(event.id, event));
+    return true;
+  }
+
+  /**
+   * 一覧とは別に取得したZap（ランキングなど）を一覧と同じ条件で絞り込む述語
+   * ミュートリストが有効なビューでは、ミュート対象のZapも除外する
+   * @param {string} viewId
+   * @returns {Promise<function(Object): boolean>}
+   */
+  async getDisplayFilter(viewId) {
+    const mode = this.getViewConfig(viewId)?.muteListMode;
+    const muteList = mode && mode !== APP_CONFIG.MUTE_LIST_CONFIG.MODES.NONE
+      ? await muteListManager.loadWithTimeout()
+      : null;
+    return (event) => this._isDisplayable(event, viewId) && !muteListManager.isMuted(event, muteList);
+  }
+
+  _isInTimeRange(event, viewId) {
+    const { since = null, until = null } = this.getViewConfig(viewId)?.timeRange || {};
+    return (since === null || event.created_at >= since) && (until === null || event.created_at <= until);
+  }
+
+  // 期間指定のビューは取得済みのZapから集計し直し、それ以外は受信したZapを加算する
+  _updateStats(event, viewId) {
+    const config = this.getViewConfig(viewId);
+    if (config?.hasTimeRange) return this._refreshLocalStats(viewId);
+    zapAnalytics.notifyChange(viewId);
+    return statsManager.handleZapEvent(event, viewId, config?.identifier, config?.validationPolicy);
+  }
+
+  // 取得済みのZapが変わった際に、詳細な集計と（期間指定のビューでは）統計を更新する
+  _refreshLocalStats(viewId) {
+    zapAnalytics.notifyChange(viewId);
+    const config = this.getViewConfig(viewId);
+    if (!config?.hasTimeRange) return;
+
+    return statsManager.computeLocalStats(
+      viewId, config.identifier, config.validationPolicy, this.isFullyLoaded(viewId),
+      [...(this.#hiddenZaps.get(viewId)?.values() || [])]
+    );
+  }
+
+  /**
+   * ビューのZap（期間指定の場合は期間内）をすべて読み込み済みか
+   * @param {string} viewId
+   * @returns {boolean}
+   */
+  isFullyLoaded(viewId) {
+    return !!this.#paginators.get(viewId)?.isExhausted;
+  }
+
+  _applyValidationPolicy(event, viewId) {
+    const policy = this.getViewConfig(viewId)?.validationPolicy;
+    return zapValidator.applyPolicy(event, policy);
+  }
+
+  async _verifyZapProvider(event, viewId) {
+    const config = this.getViewConfig(viewId);
+    if (config?.validationPolicy === APP_CONFIG.ZAP_VALIDATION.POLICIES.NONE) return;
+
+    try {
+      const wasValid = event.validation?.isValid !== false;
+      const recipientPubkey = await this._resolveRecipientPubkey(viewId);
+      event.validation = await zapValidator.verifyProvider(event, recipientPubkey);
+
+      if (wasValid && !event.validation.isValid) {
+        this._handleInvalidatedZap(event, viewId, config);
+      }
+    } catch (error) {
+      console.warn("Zap provider verification failed:", error, { eventId: event.id });
+    }
+  }
+
+  // プロバイダーの検証は表示を待たずに行うため、hideでは表示済みのZapを後から取り除く
+  _handleInvalidatedZap(event, viewId, config) {
+    cacheManager.clearZapInfo(event.id);
+
+    if (config?.validationPolicy === APP_CONFIG.ZAP_VALIDATION.POLICIES.HIDE) {
+      cacheManager.removeZapEvent(viewId, event.id);
+      this.zapListUI?.removeZap(event.id);
+    } else {
+      this.zapListUI?.updateZapValidation(event).catch(console.error);
+    }
+    this._refreshLocalStats(viewId);
+  }
+
+  // 受信者は npub/nprofile ではそのpubkey、note/nevent/naddr ではZap対象イベントの作成者
+  _resolveRecipientPubkey(viewId) {
+    if (!this.#recipients.has(viewId)) {
+      const config = this.getViewConfig(viewId);
+      const promise = this._fetchRecipientPubkey(config?.identifier).catch(error => {
+        console.warn("Failed to resolve zap recipient:", error);
+        this.#recipients.delete(viewId);
+        return null;
+      });
+      this.#recipients.set(viewId, promise);
+    }
+    return this.#recipients.get(viewId);
+  }
+
+  async _fetchRecipientPubkey(identifier) {
+    const decoded = safeNip19Decode(identifier);
+    if (!decoded) return null;
+
+    switch (decoded.type) {
+      case "npub":
+        return decoded.data;
+      case "nprofile":
+      case "naddr":
+        return decoded.data.pubkey;
+      case "nevent":
+        if (decoded.data.author) return decoded.data.author;
+        return (await eventPool.fetchEventById(decoded.data.id, decoded.data.relays))?.pubkey || null;
+      case "note":
+        return (await eventPool.fetchEventById(decoded.data))?.pubkey || null;
+      default:
+        return null;
+    }
+  }
+
   // UI更新関連メソッド
   async _processBatchEvents(events, viewId) {
     if (!events?.length) return;
@@ -452,35 +788,97 @@ class ZapSubscriptionManager {
 
   // ユーティリティメソッド
   _setupBufferInterval(batchEvents, viewId) {
+    this._clearBufferInterval(viewId);
+    this.#bufferIntervals.set(viewId, { batchEvents, intervalId: null, lastUpdate: 0 });
+    if (typeof document === "undefined" || document.visibilityState !== "hidden") {
+      this._startBufferInterval(viewId);
+    }
+  }
+
+  _startBufferInterval(viewId) {
+    const buffer = this.#bufferIntervals.get(viewId);
+    if (!buffer || buffer.intervalId) return;
+
     // バッファー更新の最小間隔を設定
-    let lastUpdate = 0;
     const minInterval = APP_CONFIG.BUFFER_MIN_INTERVAL;
 
-    return setInterval(() => {
+    buffer.intervalId = setInterval(() => {
       const now = Date.now();
-      if (batchEvents.length > 0 && (now - lastUpdate) >= minInterval) {
+      if (buffer.batchEvents.length > 0 && (now - buffer.lastUpdate) >= minInterval) {
         if (this.zapListUI) {
           this.zapListUI.batchUpdate(cacheManager.getZapEvents(viewId), { isBufferUpdate: true })
             .catch(console.error);
-          lastUpdate = now;
+          buffer.lastUpdate = now;
         }
       }
     }, APP_CONFIG.BUFFER_INTERVAL);
   }
 
-  _canLoadMore(state, config) {
-    const canLoad = config && !state.isLoading && state.lastEventTime;
-    return canLoad;
+  _stopBufferInterval(viewId) {
+    const buffer = this.#bufferIntervals.get(viewId);
+    if (!buffer?.intervalId) return;
+    clearInterval(buffer.intervalId);
+    buffer.intervalId = null;
+  }
+
+  _clearBufferInterval(viewId) {
+    this._stopBufferInterval(viewId);
+    this.#bufferIntervals.delete(viewId);
+  }
+
+  // 非表示のタブではバッファーの更新を止める（ライブ購読の停止と再開はEventPoolが行う）
+  _initializeVisibilityHandling() {
+    if (typeof document === "undefined" || !document.addEventListener) return;
+
+    document.addEventListener("visibilitychange", () => {
+      const viewIds = [...this.#bufferIntervals.keys()];
+      if (document.visibilityState === "hidden") {
+        viewIds.forEach(viewId => this._stopBufferInterval(viewId));
+      } else {
+        viewIds.forEach(viewId => this._startBufferInterval(viewId));
+      }
+    });
+  }
+
+  _canLoadMore(viewId, state, config) {
+    if (!config || state.isLoading) return false;
+    const paginator = this._getPaginator(viewId, config, state);
+    return !!paginator && !paginator.isExhausted;
+  }
+
+  /**
+   * 追加読み込み用のリレーごとのカーソル（ダイアログを閉じても次回の表示のために保持する）
+   * @returns {ZapPaginator}
+   */
+  _createPaginator(viewId, config, decoded) {
+    const paginator = new ZapPaginator({
+      baseReq: decoded.req,
+      relayUrls: eventPool.getZapRelayUrls(config, decoded),
+      fetchPage: (url, filter) => eventPool.fetchRelayPage(url, filter),
+    });
+    paginator.markSeen(cacheManager.getZapEvents(viewId).map(event => event.id));
+    this.#paginators.set(viewId, paginator);
+    return paginator;
+  }
+
+  // 初期取得の内訳がない場合（キャッシュから表示した場合など）は、最も古い表示済みのZapから始める
+  _getPaginator(viewId, config, state) {
+    if (this.#paginators.has(viewId)) return this.#paginators.get(viewId);
+
+    const decoded = decodeIdentifier(config.identifier, null, config.timeRange);
+    if (!decoded) return null;
+
+    const paginator = this._createPaginator(viewId, config, decoded);
+    if (state.lastEventTime) paginator.resetCursors(state.lastEventTime);
+    return paginator;
   }
 
   unsubscribe(viewId) {
     try {
-      // サブスクリプションの終了
-      const subscription = this.#subscriptions.get(viewId);
-      if (subscription?.zap) {
-        subscription.zap();
-        subscription.zap = null;
-      }
+      // 初期取得・追加読み込み・ライブ購読をすべて終了
+      eventPool.closeSubscriptions(viewId);
+      this.#subscriptions.delete(viewId);
+      this._clearBufferInterval(viewId);
 
       // 状態のリセット
       this.#state.set(viewId, { isZapClosed: true });
@@ -0,0 +1,229 @@
+import { APP_CONFIG } from "./AppSettings.js";
+
+/**
+ * @typedef {Object} RelayCursor
+ * @property {number|null} cursor 次に要求するuntil（nullの場合は最新から取得する）
+ * @property {boolean} isExhausted これ以上古いイベントがない
+ * @property {boolean} isFailed 連続して失敗したため一時的に外している（次のloadMoreで再試行する）
+ * @property {number} failures 連続してEOSEまで受信できなかった回数
+ */
+
+/**
+ * @callback FetchPage
+ * @param {string} relayUrl
+ * @param {Object} filter
+ * @returns {Promise<{events: Object[], isComplete: boolean}>}
+ */
+
+/**
+ * リレーごとのカーソルによるZapの追加読み込み
+ *
+ * untilは境界の秒を含むため、同じ秒のイベントは次のページで再取得し、IDで重複を除外する
+ * リレーごとに進み具合が異なるので、すべての有効なリレーのカーソル以上の時刻のイベントだけを
+ * 新しい順に返し、それより古いイベントは他のリレーが追いつくまでバッファーに残す
+ * すべてのリレーがlimit未満の件数しか返さなかった場合にのみ終端とみなす
+ * 応答しないリレーは終端とはみなさず、再試行するまで待たずに他のリレーの分を先に返す
+ */
+export class ZapPaginator {
+  #baseReq;
+  #fetchPage;
+  #pageSize;
+  #maxUntil;
+  #relays = new Map();
+  #seenIds = new Set();
+  #buffer = [];
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.baseReq 購読のフィルタ（limitは無視し、untilは期間の終わりとして扱う）
+   * @param {string[]} options.relayUrls
+   * @param {FetchPage} options.fetchPage 1つのリレーから1ページ分を取得する（eventPool.fetchRelayPage）
+   * @param {number} [options.pageSize] 1回に要求する件数
+   */
+  constructor({ baseReq, relayUrls, fetchPage, pageSize = APP_CONFIG.REQ_CONFIG.ADDITIONAL_LOAD_COUNT }) {
+    this.#baseReq = { ...baseReq };
+    delete this.#baseReq.limit;
+    delete this.#baseReq.until;
+    this.#fetchPage = fetchPage;
+    this.#pageSize = pageSize;
+    this.#maxUntil = baseReq?.until ?? null;
+
+    [...new Set(relayUrls || [])].forEach(url => {
+      this.#relays.set(url, { cursor: this.#maxUntil, isExhausted: false, isFailed: false, failures: 0 });
+    });
+  }
+
+  /**
+   * 初期取得の結果をリレーごとに反映する
+   * @param {string} url
+   * @param {Object[]} events そのリレーから受信したイベント（他のリレーとの重複を含む）
+   * @param {number} limit 初期取得で要求した件数
+   * @param {boolean} isComplete 実際にEOSEまで受信できたか（タイムアウトしたリレーなどは最新から取得し直す）
+   */
+  seed(url, events, limit, isComplete) {
+    const relay = this.#relays.get(url);
+    if (!relay) return;
+
+    this.markSeen(events.map(event => event.id));
+    if (isComplete) this.#advanceCursor(relay, events, limit);
+  }
+
+  /**
+   * 初期取得の内訳がない場合（キャッシュからの復元など）は、すべてのリレーを同じ時刻から始める
+   * @param {number} until
+   */
+  resetCursors(until) {
+    const cursor = this.#maxUntil === null ? until : Math.min(until, this.#maxUntil);
+    this.#relays.forEach(relay => {
+      relay.cursor = cursor;
+      relay.isExhausted = false;
+      relay.isFailed = false;
+      relay.failures = 0;
+    });
+  }
+
+  /**
+   * 表示済みのイベントを重複除外の対象に加える
+   * @param {string[]} ids
+   */
+  markSeen(ids) {
+    ids.forEach(id => this.#seenIds.add(id));
+  }
+
+  get isExhausted() {
+    return this.#buffer.length === 0 && this.#isAllRelaysExhausted();
+  }
+
+  /**
+   * 終端ではないが、応答しないリレーしか残っておらず今は読み込めない
+   * （次のloadMoreで再試行するため、繰り返し読み込む側はここで止める）
+   */
+  get isStalled() {
+    return this.#buffer.length === 0 && !this.#isAllRelaysExhausted() && !this.#hasFetchableRelays();
+  }
+
+  /**
+   * 新しい順に最大count件の未表示のイベントを返す
+   * リレーの応答が揃わない場合はcount件未満になることがある
+   * @param {number} count
+   * @returns {Promise<Object[]>}
+   */
+  async loadMore(count) {
+    // 前回までに外したリレーも、呼び出しごとに一度は再試行する
+    this.#relays.forEach(relay => {
+      if (!relay.isFailed) return;
+      relay.isFailed = false;
+      relay.failures = APP_CONFIG.PAGINATION_CONFIG.MAX_FAILURES - 1;
+    });
+    const events = this.#takeReady(count);
+
+    for (
+      let round = 0;
+      events.length < count && round < APP_CONFIG.PAGINATION_CONFIG.MAX_ROUNDS && this.#hasFetchableRelays();
+      round++
+    ) {
+      await Promise.all(this.#getFetchTargets().map(([url, relay]) => this.#fetchRelay(url, relay)));
+      events.push(...this.#takeReady(count - events.length));
+    }
+
+    return events;
+  }
+
+  /**
+   * 終端・上限の件数・期限のいずれかに達するまで読み込む（統計の集計やバックフィル用）
+   * 途中で止まった場合はisExhaustedがfalseのまま残る
+   * @param {number} maxEvents
+   * @param {Object} options
+   * @param {number} options.deadline Date.now()基準の期限
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object[]>}
+   */
+  async collect(maxEvents, { deadline, signal } = {}) {
+    const events = [];
+    while (!this.isExhausted && events.length < maxEvents) {
+      if (signal?.aborted || Date.now() >= deadline) break;
+      events.push(...await this.loadMore(maxEvents - events.length));
+      // 応答しないリレーだけが残った場合は、期限まで再試行し続けない
+      if (this.isStalled) break;
+    }
+    return events;
+  }
+
+  async #fetchRelay(url, relay) {
+    const filter = { ...this.#baseReq, limit: this.#pageSize };
+    if (relay.cursor !== null) filter.until = relay.cursor;
+
+    let result;
+    try {
+      result = await this.#fetchPage(url, filter);
+    } catch (error) {
+      console.warn("Failed to fetch page:", url, error);
+      result = { events: [], isComplete: false };
+    }
+
+    const { events = [], isComplete } = result || {};
+    if (isComplete) {
+      relay.failures = 0;
+      this.#advanceCursor(relay, events, this.#pageSize);
+    } else if (++relay.failures >= APP_CONFIG.PAGINATION_CONFIG.MAX_FAILURES) {
+      // 応答しないリレーを待ち続けないよう、この読み込みでは外す（終端とはみなさない）
+      relay.isFailed = true;
+    }
+
+    events.forEach(event => {
+      if (this.#seenIds.has(event.id)) return;
+      this.#seenIds.add(event.id);
+      this.#buffer.push(event);
+    });
+  }
+
+  #advanceCursor(relay, events, limit) {
+    if (events.length < limit) {
+      relay.isExhausted = true;
+      return;
+    }
+
+    const oldest = Math.min(...events.map(event => event.created_at));
+    // 同じ秒にlimit件以上のイベントがある場合は、その秒を飛ばして先に進む
+    relay.cursor = relay.cursor !== null && oldest >= relay.cursor ? relay.cursor - 1 : oldest;
+  }
+
+  // バッファーの最も古いイベントより新しい範囲を、まだ取得し終えていないリレーに問い合わせる
+  #getFetchTargets() {
+    const active = [...this.#relays].filter(([, relay]) => this.#isFetchable(relay));
+    if (!this.#buffer.length) return active;
+
+    const oldest = Math.min(...this.#buffer.map(event => event.created_at));
+    return active.filter(([, relay]) => relay.cursor === null || relay.cursor > oldest);
+  }
+
+  // 有効なリレーのうち最も進んでいないカーソル（これより新しいイベントは取得済み）
+  // 外したリレーは待たないため、再試行後にそのリレーからより新しいイベントが届くことがある
+  #getFrontier() {
+    const active = [...this.#relays.values()].filter(relay => this.#isFetchable(relay));
+    if (!active.length) return -Infinity;
+    return Math.max(...active.map(relay => relay.cursor ?? Infinity));
+  }
+
+  #takeReady(count) {
+    if (count <= 0 || !this.#buffer.length) return [];
+
+    const frontier = this.#getFrontier();
+    this.#buffer.sort((a, b) => b.created_at - a.created_at);
+    const readyIndex = this.#buffer.findIndex(event => event.created_at < frontier);
+    const readyCount = readyIndex === -1 ? this.#buffer.length : readyIndex;
+    return this.#buffer.splice(0, Math.min(readyCount, count));
+  }
+
+  #isAllRelaysExhausted() {
+    return [...this.#relays.values()].every(relay => relay.isExhausted);
+  }
+
+  #hasFetchableRelays() {
+    return [...this.#relays.values()].some(relay => this.#isFetchable(relay));
+  }
+
+  #isFetchable(relay) {
+    return !relay.isExhausted && !relay.isFailed;
+  }
+}
@@ -0,0 +1,185 @@
+import { cacheManager } from "./CacheManager.js";
+import { sanitizeJsonString, extractEmojiTags } from "./utils.js";
+
+// BOLT11のexpiryが省略された場合のデフォルト値（秒）
+const DEFAULT_INVOICE_EXPIRY = 3600;
+const HEX_PUBKEY_REGEX = /^[0-9a-f]{64}$/;
+
+/**
+ * kind 9735 Zapレシートの構造化モデル
+ *
+ * @typedef {Object} ZapReceiptData
+ * @property {string} id レシートのイベントID
+ * @property {number} created_at
+ * @property {string} providerPubkey レシートを署名したLNURLプロバイダーのpubkey
+ * @property {string|null} recipient 受信者（pタグ）
+ * @property {string|null} sender 送信者（Pタグ、なければZapリクエストのpubkey。64桁のhexでない場合はnull）
+ * @property {string|null} eventId Zap対象イベント（eタグ）
+ * @property {string[]} eventRelayHints eタグのリレーヒント
+ * @property {string|null} address Zap対象のアドレス（aタグ）
+ * @property {Object|null} zapRequest descriptionタグに埋め込まれたkind 9734
+ * @property {string|null} rawDescription descriptionタグの生の値
+ * @property {string} comment Zapリクエストのcontent
+ * @property {Object<string, string>} emojis Zapリクエストのemojiタグ（NIP-30）
+ * @property {string[]} relays Zapリクエストのrelaysタグ
+ * @property {string|null} lnurl Zapリクエストのlnurlタグ
+ * @property {number|null} requestedMsats Zapリクエストのamountタグ（msats）
+ * @property {string|null} bolt11
+ * @property {number|null} invoiceMsats インボイスの金額（msats）
+ * @property {string|null} descriptionHash
+ * @property {string|null} paymentHash
+ * @property {number|null} invoiceExpiry インボイスの有効期限（unix時間）
+ * @property {string|null} preimage
+ * @property {boolean} isAnonymous Zapリクエストにanonタグがあるか
+ * @property {boolean} isPrivate anonタグに暗号化されたZapリクエストを含むか（プライベートZap）
+ * @property {string|null} privatePayload 暗号化されたプライベートZapリクエスト
+ * @property {boolean} isAmountMismatch requestedMsatsとinvoiceMsatsが一致しないか
+ * @property {string[]} errors パース時に発生したエラー
+ */
+export class ZapReceipt {
+  static ERRORS = {
+    MISSING_DESCRIPTION: "missing description tag",
+    INVALID_DESCRIPTION: "invalid zap request JSON",
+    SANITIZED_DESCRIPTION: "zap request JSON required sanitization",
+    MISSING_BOLT11: "missing bolt11 tag",
+    INVALID_BOLT11: "invalid bolt11 invoice",
+    INVALID_AMOUNT_TAG: "invalid amount tag",
+  };
+
+  /**
+   * @param {Object} event kind 9735 イベント
+   * @returns {ZapReceipt}
+   */
+  static fromEvent(event) {
+    const cached = event?.id ? cacheManager.getZapReceipt(event.id) : undefined;
+    if (cached) return cached;
+
+    const receipt = new ZapReceipt(event);
+    if (event?.id) cacheManager.setZapReceipt(event.id, receipt);
+    return receipt;
+  }
+
+  constructor(event) {
+    const tags = Array.isArray(event?.tags) ? event.tags : [];
+    this.errors = [];
+
+    this.id = event?.id || null;
+    this.created_at = event?.created_at || 0;
+    this.providerPubkey = event?.pubkey || null;
+    this.recipient = ZapReceipt.#getTagValue(tags, "p");
+    this.eventId = ZapReceipt.#getTagValue(tags, "e");
+    const eventRelayHint = tags.find((tag) => Array.isArray(tag) && tag[0] === "e")?.[2];
+    this.eventRelayHints = typeof eventRelayHint === "string" && eventRelayHint ? [eventRelayHint] : [];
+    this.address = ZapReceipt.#getTagValue(tags, "a");
+    this.preimage = ZapReceipt.#getTagValue(tags, "preimage");
+
+    this.#parseDescription(ZapReceipt.#getTagValue(tags, "description"));
+    // 送信者はHTMLの属性やセレクタにも使うため、pubkeyの形式でない値は受け付けない
+    const sender = ZapReceipt.#getTagValue(tags, "P") || this.zapRequest?.pubkey || null;
+    this.sender = HEX_PUBKEY_REGEX.test(sender) ? sender : null;
+
+    this.#parseBolt11(
+      tags.find((tag) => Array.isArray(tag) && tag[0]?.toLowerCase() === "bolt11")?.[1] || null
+    );
+
+    this.isAmountMismatch = this.requestedMsats !== null &&
+      this.invoiceMsats !== null &&
+      this.requestedMsats !== this.invoiceMsats;
+  }
+
+  #parseDescription(description) {
+    this.rawDescription = description;
+    this.zapRequest = null;
+    this.comment = "";
+    this.emojis = {};
+    this.relays = [];
+    this.lnurl = null;
+    this.requestedMsats = null;
+    this.isAnonymous = false;
+    this.isPrivate = false;
+    this.privatePayload = null;
+
+    if (!description) {
+      this.errors.push(ZapReceipt.ERRORS.MISSING_DESCRIPTION);
+      return;
+    }
+
+    const zapRequest = this.#parseJson(description);
+    if (!zapRequest || typeof zapRequest !== "object") {
+      this.errors.push(ZapReceipt.ERRORS.INVALID_DESCRIPTION);
+      return;
+    }
+
+    const requestTags = Array.isArray(zapRequest.tags) ? zapRequest.tags : [];
+    this.zapRequest = zapRequest;
+    this.comment = typeof zapRequest.content === "string" ? zapRequest.content.trim() : "";
+    this.relays = (requestTags.find((tag) => Array.isArray(tag) && tag[0] === "relays") || [])
+      .slice(1)
+      .filter((url) => typeof url === "string" && url);
+    this.emojis = extractEmojiTags(requestTags);
+    this.lnurl = ZapReceipt.#getTagValue(requestTags, "lnurl");
+    this.isAnonymous = requestTags.some((tag) => Array.isArray(tag) && tag[0] === "anon");
+    this.privatePayload = ZapReceipt.#getTagValue(requestTags, "anon") || null;
+    this.isPrivate = !!this.privatePayload;
+
+    const amountTag = ZapReceipt.#getTagValue(requestTags, "amount");
+    if (amountTag !== null) {
+      if (/^\d+$/.test(String(amountTag))) {
+        this.requestedMsats = parseInt(amountTag, 10);
+      } else {
+        this.errors.push(ZapReceipt.ERRORS.INVALID_AMOUNT_TAG);
+      }
+    }
+  }
+
+  #parseJson(description) {
+    try {
+      return JSON.parse(description);
+    } catch {
+      // 不正なエスケープを含む実装があるため、サニタイズして再試行
+      try {
+        const parsed = JSON.parse(sanitizeJsonString(description));
+        this.errors.push(ZapReceipt.ERRORS.SANITIZED_DESCRIPTION);
+        return parsed;
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  #parseBolt11(bolt11) {
+    this.bolt11 = bolt11;
+    this.invoiceMsats = null;
+    this.descriptionHash = null;
+    this.paymentHash = null;
+    this.invoiceExpiry = null;
+
+    if (!bolt11) {
+      this.errors.push(ZapReceipt.ERRORS.MISSING_BOLT11);
+      return;
+    }
+
+    try {
+      const decoded = window.decodeBolt11(bolt11);
+      const getSection = (name) =>
+        decoded.sections.find((section) => section.name === name)?.value;
+
+      const amount = getSection("amount");
+      const timestamp = getSection("timestamp");
+      this.invoiceMsats = amount ? parseInt(amount, 10) : null;
+      this.descriptionHash = getSection("description_hash") || null;
+      this.paymentHash = getSection("payment_hash") || null;
+      this.invoiceExpiry = timestamp
+        ? decoded.expiry ?? timestamp + DEFAULT_INVOICE_EXPIRY
+        : null;
+    } catch (error) {
+      console.debug("BOLT11 decode error:", error);
+      this.errors.push(ZapReceipt.ERRORS.INVALID_BOLT11);
+    }
+  }
+
+  static #getTagValue(tags, name) {
+    const value = tags.find((tag) => Array.isArray(tag) && tag[0] === name)?.[1];
+    return value === undefined ? null : value;
+  }
+}
@@ -0,0 +1,191 @@
+import { sha256 } from "@noble/hashes/sha256";
+import { bytesToHex } from "@noble/hashes/utils";
+import { APP_CONFIG } from "./AppSettings.js";
+import { cacheManager } from "./CacheManager.js";
+import { lnurlResolver } from "./LnurlResolver.js";
+import { ZapReceipt } from "./ZapReceipt.js";
+
+/**
+ * @typedef {Object} ZapValidationResult
+ * @property {boolean} isValid
+ * @property {string[]} errors
+ */
+
+/**
+ * NIP-57 Appendix F に基づくZapレシートの検証
+ */
+export class ZapValidator {
+  static ERRORS = {
+    INVALID_KIND: "invalid receipt kind",
+    INVALID_RECEIPT_SIGNATURE: "invalid receipt signature",
+    MISSING_DESCRIPTION: "missing description tag",
+    INVALID_DESCRIPTION: "invalid zap request JSON",
+    INVALID_REQUEST_KIND: "invalid zap request kind",
+    INVALID_REQUEST_SIGNATURE: "invalid zap request signature",
+    MISSING_BOLT11: "missing bolt11 tag",
+    INVALID_BOLT11: "invalid bolt11 invoice",
+    DESCRIPTION_HASH_MISMATCH: "description hash mismatch",
+    RECIPIENT_MISMATCH: "recipient mismatch",
+    TARGET_MISMATCH: "zapped event mismatch",
+    SENDER_MISMATCH: "sender mismatch",
+    PROVIDER_MISMATCH: "receipt not signed by recipient's LNURL provider",
+  };
+
+  /**
+   * @param {Object} event kind 9735 イベント
+   * @returns {ZapValidationResult}
+   */
+  validate(event) {
+    if (!event?.id) {
+      return { isValid: false, errors: [ZapValidator.ERRORS.INVALID_KIND] };
+    }
+
+    const cached = cacheManager.getZapValidation(event.id);
+    if (cached) return cached;
+
+    const errors = this.#collectErrors(event);
+    const result = { isValid: errors.length === 0, errors };
+    cacheManager.setZapValidation(event.id, result);
+    return result;
+  }
+
+  /**
+   * レシートの署名者が受信者のLNURLエンドポイントのnostrPubkeyと一致するか検証
+   * nostrPubkeyが解決できない場合は判定不能として結果を変更しない
+   * @param {Object} event kind 9735 イベント
+   * @param {string} recipientPubkey
+   * @returns {Promise<ZapValidationResult>}
+   */
+  async verifyProvider(event, recipientPubkey) {
+    const validation = this.validate(event);
+    if (!recipientPubkey || validation.errors.includes(ZapValidator.ERRORS.PROVIDER_MISMATCH)) {
+      return validation;
+    }
+
+    const payInfo = await lnurlResolver.resolve(recipientPubkey);
+    if (!payInfo?.nostrPubkey || payInfo.nostrPubkey === event.pubkey) {
+      return validation;
+    }
+
+    const result = {
+      isValid: false,
+      errors: [...validation.errors, ZapValidator.ERRORS.PROVIDER_MISMATCH],
+    };
+    cacheManager.setZapValidation(event.id, result);
+    return result;
+  }
+
+  /**
+   * ポリシーに従ってイベントを表示するかどうかを判定
+   * @returns {boolean} 表示する場合はtrue
+   */
+  applyPolicy(event, policy) {
+    const { POLICIES } = APP_CONFIG.ZAP_VALIDATION;
+    if (policy === POLICIES.NONE) return true;
+
+    event.validation = this.validate(event);
+    return event.validation.isValid || policy !== POLICIES.HIDE;
+  }
+
+  /**
+   * 統計に含めるべきでない無効なレシートかどうか
+   */
+  isExcludedFromStats(event, policy) {
+    if (policy === APP_CONFIG.ZAP_VALIDATION.POLICIES.NONE) return false;
+    return !this.validate(event).isValid;
+  }
+
+  #collectErrors(event) {
+    const { ERRORS } = ZapValidator;
+    const errors = [];
+
+    if (event.kind !== 9735) {
+      return [ERRORS.INVALID_KIND];
+    }
+
+    if (!this.#verifySignature(event)) {
+      errors.push(ERRORS.INVALID_RECEIPT_SIGNATURE);
+    }
+
+    const receipt = ZapReceipt.fromEvent(event);
+    if (!receipt.rawDescription) {
+      errors.push(ERRORS.MISSING_DESCRIPTION);
+    } else if (!receipt.zapRequest) {
+      errors.push(ERRORS.INVALID_DESCRIPTION);
+    } else {
+      errors.push(...this.#validateZapRequest(receipt));
+    }
+
+    if (!receipt.bolt11) {
+      errors.push(ERRORS.MISSING_BOLT11);
+    } else if (receipt.errors.includes(ZapReceipt.ERRORS.INVALID_BOLT11)) {
+      errors.push(ERRORS.INVALID_BOLT11);
+    } else if (receipt.rawDescription) {
+      errors.push(...this.#validateDescriptionHash(receipt));
+    }
+
+    return errors;
+  }
+
+  #validateZapRequest(receipt) {
+    const { ERRORS } = ZapValidator;
+    const { zapRequest } = receipt;
+
+    if (zapRequest.kind !== 9734) {
+      return [ERRORS.INVALID_REQUEST_KIND];
+    }
+
+    const errors = [];
+    // ZapReceiptがサニタイズしてパースしたリクエスト（SANITIZED_DESCRIPTION）は署名したJSONと異なるため、ここで検出される
+    if (!this.#verifySignature(zapRequest)) {
+      errors.push(ERRORS.INVALID_REQUEST_SIGNATURE);
+    }
+
+    // リクエストにはpタグがちょうど1つ必要（NIP-57 Appendix D）
+    const requestRecipients = this.#getTagValues(zapRequest, "p");
+    if (requestRecipients.length !== 1 || requestRecipients[0] !== receipt.recipient) {
+      errors.push(ERRORS.RECIPIENT_MISMATCH);
+    }
+
+    // e/aタグはリクエストとレシートで一致している必要がある
+    const requestEventId = this.#getTagValue(zapRequest, "e") ?? null;
+    const requestAddress = this.#getTagValue(zapRequest, "a") ?? null;
+    if (requestEventId !== receipt.eventId || requestAddress !== receipt.address) {
+      errors.push(ERRORS.TARGET_MISMATCH);
+    }
+
+    if (receipt.sender !== zapRequest.pubkey) {
+      errors.push(ERRORS.SENDER_MISMATCH);
+    }
+
+    return errors;
+  }
+
+  #validateDescriptionHash({ rawDescription, descriptionHash }) {
+    const expectedHash = bytesToHex(sha256(new TextEncoder().encode(rawDescription)));
+    return descriptionHash === expectedHash
+      ? []
+      : [ZapValidator.ERRORS.DESCRIPTION_HASH_MISMATCH];
+  }
+
+  #verifySignature(event) {
+    try {
+      return window.NostrTools.verifyEvent(event);
+    } catch {
+      return false;
+    }
+  }
+
+  #getTagValue(event, name) {
+    return this.#getTagValues(event, name)[0];
+  }
+
+  #getTagValues(event, name) {
+    if (!Array.isArray(event.tags)) return [];
+    return event.tags
+      .filter((tag) => Array.isArray(tag) && tag[0] === name)
+      .map((tag) => tag[1]);
+  }
+}
+
+export const zapValidator = new ZapValidator();
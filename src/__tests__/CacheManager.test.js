@@ -0,0 +1,57 @@
+import { cacheManager } from "../CacheManager.js";
+import { APP_CONFIG } from "../AppSettings.js";
+
+describe("CacheManager", () => {
+  afterEach(() => {
+    cacheManager.clearAll();
+    jest.restoreAllMocks();
+  });
+
+  describe("外部から取得する値のキャッシュ", () => {
+    test("取得中の同じキーへの問い合わせを1回にまとめ、結果をキャッシュする", async () => {
+      const fetchFn = jest.fn(async () => ({ nostrPubkey: "a".repeat(64) }));
+
+      const results = await Promise.all([
+        cacheManager.lnurlCache.getOrFetch("pubkey", fetchFn),
+        cacheManager.lnurlCache.getOrFetch("pubkey", fetchFn),
+      ]);
+      const cached = await cacheManager.lnurlCache.getOrFetch("pubkey", fetchFn);
+
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      expect(results[1]).toBe(results[0]);
+      expect(cached).toBe(results[0]);
+    });
+
+    test("取得できなかった値(null)もキャッシュする", async () => {
+      const fetchFn = jest.fn(async () => null);
+
+      await cacheManager.relayInfoCache.getOrFetch("wss://relay.example.com", fetchFn);
+
+      expect(cacheManager.relayInfoCache.getValue("wss://relay.example.com")).toBeNull();
+      expect(await cacheManager.relayInfoCache.getOrFetch("wss://relay.example.com", fetchFn)).toBeNull();
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+    });
+
+    test("有効期限が切れた値は取得し直す", async () => {
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000000);
+      const fetchFn = jest.fn(async () => ({ pubkeys: new Set() }));
+
+      await cacheManager.muteListCache.getOrFetch("pubkey", fetchFn);
+      now.mockReturnValue(1000000 + APP_CONFIG.MUTE_LIST_CONFIG.CACHE_DURATION + 1);
+
+      expect(cacheManager.muteListCache.getValue("pubkey")).toBeUndefined();
+      await cacheManager.muteListCache.getOrFetch("pubkey", fetchFn);
+      expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+
+    test("取得時の例外はキャッシュせず、次の問い合わせで取得し直す", async () => {
+      const fetchFn = jest.fn()
+        .mockRejectedValueOnce(new Error("failed"))
+        .mockResolvedValueOnce(["wss://relay.example.com"]);
+
+      await expect(cacheManager.relayListCache.getOrFetch("pubkey", fetchFn)).rejects.toThrow("failed");
+      expect(await cacheManager.relayListCache.getOrFetch("pubkey", fetchFn))
+        .toEqual(["wss://relay.example.com"]);
+    });
+  });
+});
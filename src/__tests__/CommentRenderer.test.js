@@ -0,0 +1,169 @@
+import { nip19 } from "nostr-tools";
+import { CommentRenderer } from "../ui/CommentRenderer.js";
+import { cacheManager } from "../CacheManager.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import { keys } from "./helpers/zaps.js";
+
+const pubkey = keys().pubkey;
+const eventId = "e".repeat(64);
+
+// 描画したHTMLをDOMとして解釈し、属性やテキストがどう扱われるかを確認する
+const renderToElement = (text, options) => {
+  const element = document.createElement("div");
+  element.innerHTML = CommentRenderer.render(text, options);
+  return element;
+};
+
+describe("CommentRenderer", () => {
+  afterEach(() => cacheManager.clearAll());
+
+  describe("NIP-27 参照", () => {
+    test("npub/nprofileをプロフィールへのメンションにする", () => {
+      const npub = nip19.npubEncode(pubkey);
+      const nprofile = nip19.nprofileEncode({ pubkey, relays: ["wss://relay.example.com"] });
+
+      const mentions = renderToElement(`hi nostr:${npub} and nostr:${nprofile}`)
+        .querySelectorAll(".zap-mention-profile");
+
+      expect(mentions).toHaveLength(2);
+      mentions.forEach(mention => expect(mention.dataset.mentionPubkey).toBe(pubkey));
+      expect(mentions[0].getAttribute("href")).toBe(`https://njump.me/${npub}`);
+      expect(mentions[0].classList.contains("is-resolved")).toBe(false);
+    });
+
+    test("キャッシュ済みのプロフィールの名前は、HTMLとして解釈せずに表示する", () => {
+      cacheManager.setProfile(pubkey, { name: `<img src=x onerror="alert(1)">` });
+
+      const element = renderToElement(`nostr:${nip19.npubEncode(pubkey)}`);
+      const mention = element.querySelector(".zap-mention-profile");
+
+      expect(element.querySelector("img")).toBeNull();
+      expect(mention.textContent).toBe(`@<img src=x onerror="alert(1)">`);
+      expect(mention.classList.contains("is-resolved")).toBe(true);
+    });
+
+    test("note/nevent/naddrをイベントへの参照にする", () => {
+      const note = nip19.noteEncode(eventId);
+      const nevent = nip19.neventEncode({ id: eventId });
+      const naddr = nip19.naddrEncode({ kind: 30023, pubkey, identifier: `a"b` });
+
+      const mentions = renderToElement(`nostr:${note} nostr:${nevent} nostr:${naddr}`)
+        .querySelectorAll(".zap-mention-event");
+
+      expect([...mentions].map(el => [el.dataset.mentionRef, el.dataset.mentionType])).toEqual([
+        [eventId, "e"],
+        [eventId, "e"],
+        [`30023:${pubkey}:a"b`, "a"],
+      ]);
+    });
+
+    test("参照イベントのタイトルは、HTMLとして解釈せずに表示する", () => {
+      cacheManager.setReference(eventId, { tags: [["title", `<b>"Title"</b>`]], content: "" });
+
+      const element = renderToElement(`nostr:${nip19.noteEncode(eventId)}`);
+
+      expect(element.querySelector("b")).toBeNull();
+      expect(element.querySelector(".zap-mention-event").textContent).toBe(`<b>"Title"</b>`);
+    });
+
+    test("nsecは参照として扱わずテキストのまま表示する", () => {
+      const nsec = nip19.nsecEncode(keys().secretKey);
+
+      const element = renderToElement(`nostr:${nsec}`);
+
+      expect(element.querySelector("a")).toBeNull();
+      expect(element.textContent).toBe(`nostr:${nsec}`);
+    });
+
+    test("参照の前後のテキストをエスケープする", () => {
+      const element = renderToElement(`<script>x</script> nostr:${nip19.noteEncode(eventId)} & more`);
+
+      expect(element.querySelector("script")).toBeNull();
+      expect(element.textContent).toMatch(/^<script>x<\/script> .+ & more$/);
+    });
+  });
+
+  describe("URL・メディア", () => {
+    test("URLをリンクにし、末尾の句読点はリンクに含めない", () => {
+      const element = renderToElement("see https://example.com/page?a=1&b=2).");
+      const link = element.querySelector(".zap-comment-link");
+
+      expect(link.getAttribute("href")).toBe("https://example.com/page?a=1&b=2");
+      expect(link.getAttribute("rel")).toBe("noopener noreferrer nofollow");
+      expect(element.textContent).toBe("see example.com/page?a=1&b=2).");
+    });
+
+    test("URL内の引用符で属性を抜け出せない", () => {
+      const element = renderToElement(`https://example.com/a"onmouseover="alert(1) https://example.com/b'c`);
+      const links = element.querySelectorAll("a");
+
+      links.forEach(link => expect(link.hasAttribute("onmouseover")).toBe(false));
+      expect(links[0].getAttribute("href")).toBe("https://example.com/a");
+      expect(links[1].getAttribute("href")).toBe("https://example.com/b'c");
+    });
+
+    test("http/https以外のURLはリンクにしない", () => {
+      const element = renderToElement(`javascript:alert(1) data:text/html,<script>x</script>`);
+
+      expect(element.querySelector("a")).toBeNull();
+      expect(element.querySelector("script")).toBeNull();
+    });
+
+    test("長いURLは表示を省略し、hrefには元のURLを使う", () => {
+      const maxLength = APP_CONFIG.COMMENT_CONFIG.LINK_DISPLAY_LENGTH;
+      const url = `https://example.com/${"p".repeat(maxLength)}`;
+
+      const link = renderToElement(url).querySelector("a");
+
+      expect(link.getAttribute("href")).toBe(url);
+      expect(link.textContent).toBe(`${url.slice("https://".length, "https://".length + maxLength)}…`);
+    });
+
+    test("画像・動画のURLはクリックで読み込むプレビューにする", () => {
+      const element = renderToElement(`https://example.com/a.PNG https://example.com/b.mp4`);
+      const previews = element.querySelectorAll(".zap-media-preview");
+
+      expect([...previews].map(button => [button.dataset.mediaType, button.dataset.mediaUrl])).toEqual([
+        ["image", "https://example.com/a.PNG"],
+        ["video", "https://example.com/b.mp4"],
+      ]);
+      expect(element.querySelector("img, video")).toBeNull();
+    });
+
+    test("mediaPreviewを無効にした場合は通常のリンクにする", () => {
+      const element = renderToElement("https://example.com/a.png", { mediaPreview: false });
+
+      expect(element.querySelector(".zap-media-preview")).toBeNull();
+      expect(element.querySelector(".zap-comment-link")).not.toBeNull();
+    });
+
+    test("プレビューをクリックすると画像を読み込む", async () => {
+      const element = renderToElement("https://example.com/a.png");
+      element.innerHTML = `<div class="zap-comment">${element.innerHTML}</div>`;
+      await new CommentRenderer().hydrate(element);
+
+      element.querySelector(".zap-media-preview").click();
+
+      const image = element.querySelector("a.zap-comment-link > img.zap-media-thumbnail");
+      expect(image.getAttribute("src")).toBe("https://example.com/a.png");
+    });
+
+    test("ハッシュタグを検索へのリンクにする", () => {
+      const link = renderToElement("#nostr").querySelector(".zap-hashtag");
+
+      expect(link.getAttribute("href")).toBe("https://nostr.band/?q=%23nostr");
+      expect(link.textContent).toBe("#nostr");
+    });
+  });
+
+  describe("getEventTitle", () => {
+    test("title/nameタグ、なければ本文の1行目を使い、長い場合は省略する", () => {
+      expect(CommentRenderer.getEventTitle({ tags: [["name", "Badge"]], content: "body" })).toBe("Badge");
+      expect(CommentRenderer.getEventTitle({ tags: [], content: "first\nsecond" })).toBe("first");
+      const maxLength = APP_CONFIG.COMMENT_CONFIG.MENTION_TITLE_LENGTH;
+      expect(CommentRenderer.getEventTitle({ tags: [], content: "x".repeat(maxLength + 1) }))
+        .toBe(`${"x".repeat(maxLength)}…`);
+      expect(CommentRenderer.getEventTitle(null)).toBe("");
+    });
+  });
+});
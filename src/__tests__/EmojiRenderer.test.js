@@ -0,0 +1,101 @@
+import { EmojiRenderer } from "../ui/EmojiRenderer.js";
+import { extractEmojiTags } from "../utils.js";
+
+const URL_A = "https://example.com/a.png";
+
+const renderToElement = (text, emojis) => {
+  const element = document.createElement("div");
+  element.innerHTML = EmojiRenderer.renderHTML(text, emojis);
+  return element;
+};
+
+describe("EmojiRenderer", () => {
+  describe("renderHTML", () => {
+    test("登録されたshortcodeを画像にし、それ以外はテキストのまま表示する", () => {
+      const element = renderToElement("hi :a: :unknown: :a:", extractEmojiTags([["emoji", "a", URL_A]]));
+      const images = element.querySelectorAll("img.custom-emoji");
+
+      expect(images).toHaveLength(2);
+      expect(images[0].getAttribute("src")).toBe(URL_A);
+      expect(images[0].getAttribute("alt")).toBe(":a:");
+      expect(element.textContent).toBe("hi  :unknown: ");
+    });
+
+    test("テキスト部分をエスケープする", () => {
+      const element = renderToElement(`<script>x</script>:a:"&`, extractEmojiTags([["emoji", "a", URL_A]]));
+
+      expect(element.querySelector("script")).toBeNull();
+      expect(element.textContent).toBe(`<script>x</script>"&`);
+    });
+
+    test("URL内の引用符で属性を抜け出せない", () => {
+      // extractEmojiTagsを経由しないマップ
+      const url = `https://example.com/a.png" onerror="alert(1)`;
+
+      const image = renderToElement(":a:", { a: url }).querySelector("img");
+
+      expect(image.hasAttribute("onerror")).toBe(false);
+      expect(image.getAttribute("src")).toBe(url);
+    });
+
+    test("継承したプロパティはshortcodeとして使わない", () => {
+      const text = ":constructor: :toString: :__proto__: :inherited:";
+      const emojis = Object.assign(Object.create({ inherited: URL_A }), { a: URL_A });
+
+      const element = renderToElement(text, emojis);
+
+      expect(element.querySelector("img")).toBeNull();
+      expect(element.textContent).toBe(text);
+    });
+
+    test("URLが文字列でない・空のshortcodeはテキストのまま表示する", () => {
+      const element = renderToElement(":a: :b:", { a: "", b: 1 });
+
+      expect(element.querySelector("img")).toBeNull();
+      expect(element.textContent).toBe(":a: :b:");
+    });
+
+    test("絵文字がない場合・テキストが文字列でない場合", () => {
+      expect(EmojiRenderer.renderHTML("<b>:a:</b>", null)).toBe("&lt;b&gt;:a:&lt;/b&gt;");
+      expect(EmojiRenderer.renderHTML(null, { a: URL_A })).toBe("");
+    });
+  });
+
+  describe("createFragment", () => {
+    test("shortcodeを画像に、それ以外をテキストノードにする", () => {
+      const fragment = EmojiRenderer.createFragment(`<b>:a:</b> :constructor:`, extractEmojiTags([["emoji", "a", URL_A]]));
+      const element = document.createElement("div");
+      element.appendChild(fragment);
+
+      expect(element.querySelector("b")).toBeNull();
+      expect(element.querySelectorAll("img")).toHaveLength(1);
+      expect(element.querySelector("img").getAttribute("src")).toBe(URL_A);
+      expect(element.textContent).toBe("<b></b> :constructor:");
+    });
+
+    test("画像の読み込みに失敗した場合はshortcodeのテキストに置き換える", () => {
+      const element = document.createElement("div");
+      element.appendChild(EmojiRenderer.createFragment("x:a:", { a: URL_A }));
+
+      element.querySelector("img").dispatchEvent(new Event("error"));
+
+      expect(element.querySelector("img")).toBeNull();
+      expect(element.textContent).toBe("x:a:");
+    });
+  });
+
+  describe("extractEmojiTags", () => {
+    test("不正なshortcodeとhttp/https以外のURLは除外する", () => {
+      const emojis = extractEmojiTags([
+        ["emoji", "ok", URL_A],
+        ["emoji", "bad code", URL_A],
+        ["emoji", "js", "javascript:alert(1)"],
+        ["emoji", "constructor", URL_A],
+        ["p", "x"],
+      ]);
+
+      expect(Object.keys(emojis)).toEqual(["ok", "constructor"]);
+      expect(Object.getPrototypeOf(emojis)).toBeNull();
+    });
+  });
+});
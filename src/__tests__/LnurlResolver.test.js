@@ -0,0 +1,100 @@
+import { bech32 } from "@scure/base";
+import { LnurlResolver } from "../LnurlResolver.js";
+import { profilePool } from "../ProfilePool.js";
+import { keys } from "./helpers/zaps.js";
+
+const lud06 = (url) =>
+  bech32.encode("lnurl", bech32.toWords(new TextEncoder().encode(url)), 1000);
+
+const stubFetch = (body) => jest.fn(async () => ({ json: async () => body }));
+
+describe("LnurlResolver", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("getEndpoint", () => {
+    test("lud16からwell-knownのURLを組み立てる", () => {
+      expect(LnurlResolver.getEndpoint({ lud16: "alice@example.com" }))
+        .toBe("https://example.com/.well-known/lnurlp/alice");
+    });
+
+    test("lud06はhttpsのURLのみ受け付ける", () => {
+      expect(LnurlResolver.getEndpoint({ lud06: lud06("https://example.com/lnurlp/alice") }))
+        .toBe("https://example.com/lnurlp/alice");
+      expect(LnurlResolver.getEndpoint({ lud06: lud06("http://example.com/lnurlp/alice") }))
+        .toBeNull();
+      expect(LnurlResolver.getEndpoint({ lud06: lud06("javascript:alert(1)") }))
+        .toBeNull();
+    });
+
+    test("lud06のhttpは.onionに限り受け付ける", () => {
+      expect(LnurlResolver.getEndpoint({ lud06: lud06("http://example.onion/lnurlp/alice") }))
+        .toBe("http://example.onion/lnurlp/alice");
+    });
+  });
+
+  describe("resolve", () => {
+    test("差し替えたfetch関数でエンドポイントを取得する", async () => {
+      const { pubkey } = keys();
+      const nostrPubkey = keys().pubkey;
+      jest.spyOn(profilePool, "fetchProfiles").mockResolvedValue([{ lud16: "alice@example.com" }]);
+      const fetchFn = stubFetch({ allowsNostr: true, nostrPubkey, callback: "https://example.com/cb" });
+      const resolver = new LnurlResolver();
+      resolver.setFetchFunction(fetchFn);
+
+      expect(await resolver.resolve(pubkey)).toEqual({
+        allowsNostr: true,
+        nostrPubkey,
+        callback: "https://example.com/cb",
+      });
+      expect(fetchFn).toHaveBeenCalledWith(
+        "https://example.com/.well-known/lnurlp/alice",
+        { signal: expect.any(AbortSignal) },
+      );
+    });
+
+    test("同じpubkeyへの同時の問い合わせは1回の取得にまとめ、結果をキャッシュする", async () => {
+      const { pubkey } = keys();
+      jest.spyOn(profilePool, "fetchProfiles").mockResolvedValue([{ lud16: "bob@example.com" }]);
+      const fetchFn = stubFetch({ allowsNostr: false });
+      const resolver = new LnurlResolver();
+      resolver.setFetchFunction(fetchFn);
+
+      const results = await Promise.all([resolver.resolve(pubkey), resolver.resolve(pubkey)]);
+      await resolver.resolve(pubkey);
+
+      expect(results[0]).toEqual(results[1]);
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+    });
+
+    test("nostrPubkeyが64桁のhexでない場合はnullにする", async () => {
+      jest.spyOn(profilePool, "fetchProfiles").mockResolvedValue([{ lud16: "carol@example.com" }]);
+      const resolver = new LnurlResolver();
+      resolver.setFetchFunction(stubFetch({ allowsNostr: true, nostrPubkey: "npub1invalid" }));
+
+      expect((await resolver.resolve(keys().pubkey)).nostrPubkey).toBeNull();
+    });
+
+    test("httpsでないlud06には問い合わせない", async () => {
+      jest.spyOn(profilePool, "fetchProfiles")
+        .mockResolvedValue([{ lud06: lud06("http://example.com/lnurlp/dave") }]);
+      const fetchFn = stubFetch({ allowsNostr: true });
+      const resolver = new LnurlResolver();
+      resolver.setFetchFunction(fetchFn);
+
+      expect(await resolver.resolve(keys().pubkey)).toBeNull();
+      expect(fetchFn).not.toHaveBeenCalled();
+    });
+
+    test("取得に失敗した場合はnullを返す", async () => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      jest.spyOn(profilePool, "fetchProfiles").mockResolvedValue([{ lud16: "erin@example.com" }]);
+      const resolver = new LnurlResolver();
+      resolver.setFetchFunction(jest.fn(async () => {
+        throw new Error("network error");
+      }));
+
+      expect(await resolver.resolve(keys().pubkey)).toBeNull();
+      expect(warn).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { finalizeEvent, nip04, nip44 } from "nostr-tools";
+import { MuteListManager } from "../MuteListManager.js";
+import { eventPool } from "../EventPool.js";
+import { cacheManager } from "../CacheManager.js";
+import { signerManager, createLocalSigner } from "../SignerManager.js";
+import { createZapReceipt, keys } from "./helpers/zaps.js";
+
+const viewer = keys();
+const sender = keys();
+const provider = keys();
+const recipient = keys().pubkey;
+const eventId = "e".repeat(64);
+
+const zap = (options = {}) => createZapReceipt({ sender, provider, recipient, ...options });
+
+const muteList = (tags) => MuteListManager.parseTags(tags);
+
+const createMuteListEvent = (tags, content = "") => finalizeEvent({
+  kind: 10000,
+  created_at: 1700000000,
+  tags,
+  content,
+}, viewer.secretKey);
+
+describe("MuteListManager", () => {
+  const manager = new MuteListManager();
+
+  afterEach(() => {
+    signerManager.setSigner(null);
+    cacheManager.clearAll();
+    jest.restoreAllMocks();
+  });
+
+  describe("parseTags", () => {
+    test("p/t/word/eタグを種類ごとに振り分ける", () => {
+      const parsed = muteList([
+        ["p", sender.pubkey],
+        ["t", "#Spam"],
+        ["word", "Buy Now"],
+        ["e", eventId],
+      ]);
+
+      expect(parsed.pubkeys).toEqual(new Set([sender.pubkey]));
+      expect(parsed.hashtags).toEqual(new Set(["spam"]));
+      expect(parsed.words).toEqual(["buy now"]);
+      expect(parsed.eventIds).toEqual(new Set([eventId]));
+    });
+
+    test("値のないタグや未知のタグは無視する", () => {
+      const parsed = muteList([["p"], ["t", ""], ["word", 1], "p", ["relay", "wss://relay.example.com"]]);
+
+      expect(parsed).toEqual({ pubkeys: new Set(), hashtags: new Set(), words: [], eventIds: new Set() });
+    });
+  });
+
+  describe("isMuted", () => {
+    test("ミュートした送信者のZap", () => {
+      expect(manager.isMuted(zap(), muteList([["p", sender.pubkey]]))).toBe(true);
+      expect(manager.isMuted(zap(), muteList([["p", recipient]]))).toBe(false);
+    });
+
+    test("ミュートしたスレッドへのZap", () => {
+      const event = zap({ requestTags: [["e", eventId]], receiptTags: [["e", eventId]] });
+
+      expect(manager.isMuted(event, muteList([["e", eventId]]))).toBe(true);
+    });
+
+    test("コメントにミュートしたワードを含むZap（大文字・小文字を区別しない）", () => {
+      expect(manager.isMuted(zap({ comment: "BUY NOW!!" }), muteList([["word", "buy now"]]))).toBe(true);
+      expect(manager.isMuted(zap({ comment: "thanks" }), muteList([["word", "buy now"]]))).toBe(false);
+    });
+
+    test("コメントにミュートしたハッシュタグを含むZap", () => {
+      const list = muteList([["t", "spam"]]);
+
+      expect(manager.isMuted(zap({ comment: "check this #Spam" }), list)).toBe(true);
+      // ハッシュタグとしてではなく、単語の一部として含む場合は対象外
+      expect(manager.isMuted(zap({ comment: "#spammer" }), list)).toBe(false);
+    });
+
+    test("ミュートリストがない場合は対象外", () => {
+      expect(manager.isMuted(zap(), null)).toBe(false);
+    });
+  });
+
+  describe("load", () => {
+    test("signerがない場合は取得しない", async () => {
+      const fetchLatestEvent = jest.spyOn(eventPool, "fetchLatestEvent");
+
+      expect(await manager.load()).toBeNull();
+      expect(fetchLatestEvent).not.toHaveBeenCalled();
+    });
+
+    test("公開の項目と、NIP-44で暗号化された非公開の項目を合わせる", async () => {
+      signerManager.setSigner(createLocalSigner(viewer.secretKey));
+      const conversationKey = nip44.getConversationKey(viewer.secretKey, viewer.pubkey);
+      const content = nip44.encrypt(JSON.stringify([["word", "secret"]]), conversationKey);
+      jest.spyOn(eventPool, "fetchLatestEvent")
+        .mockResolvedValue(createMuteListEvent([["p", sender.pubkey]], content));
+
+      const loaded = await manager.load();
+
+      expect(loaded.pubkeys).toEqual(new Set([sender.pubkey]));
+      expect(loaded.words).toEqual(["secret"]);
+    });
+
+    test("NIP-04で暗号化された非公開の項目も復号する", async () => {
+      signerManager.setSigner(createLocalSigner(viewer.secretKey));
+      const content = await nip04.encrypt(viewer.secretKey, viewer.pubkey, JSON.stringify([["t", "nsfw"]]));
+      jest.spyOn(eventPool, "fetchLatestEvent").mockResolvedValue(createMuteListEvent([], content));
+
+      expect((await manager.load()).hashtags).toEqual(new Set(["nsfw"]));
+    });
+
+    test("署名が不正なミュートリストは使わない", async () => {
+      signerManager.setSigner(createLocalSigner(viewer.secretKey));
+      const event = { ...JSON.parse(JSON.stringify(createMuteListEvent([["p", sender.pubkey]]))), created_at: 1 };
+      jest.spyOn(eventPool, "fetchLatestEvent").mockResolvedValue(event);
+
+      expect(await manager.load()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { bech32 } from "@scure/base";
+import { generateSecretKey, getPublicKey, finalizeEvent, nip04 } from "nostr-tools";
+import { PrivateZapDecryptor } from "../PrivateZapDecryptor.js";
+import { ZapReceipt } from "../ZapReceipt.js";
+import { signerManager, createLocalSigner } from "../SignerManager.js";
+
+const senderKey = generateSecretKey();
+const recipientKey = generateSecretKey();
+const thirdPartyKey = generateSecretKey();
+const recipient = getPublicKey(recipientKey);
+
+const toBech32 = (prefix, base64Text) =>
+  bech32.encode(prefix, bech32.toWords(Buffer.from(base64Text, "base64")), 2000);
+
+let receiptCount = 0;
+
+/**
+ * NIP-57のプライベートZapを作成する
+ * 送信者が署名したkind 9733を、一時鍵と受信者の共有鍵で暗号化してanonタグに入れる
+ */
+const createPrivateZapReceipt = async (comment) => {
+  const ephemeralKey = generateSecretKey();
+  const privateRequest = finalizeEvent({
+    kind: 9733,
+    created_at: 1700000000,
+    tags: [["p", recipient]],
+    content: comment,
+  }, senderKey);
+
+  const [encrypted, iv] = (await nip04.encrypt(ephemeralKey, recipient, JSON.stringify(privateRequest)))
+    .split("?iv=");
+  const zapRequest = finalizeEvent({
+    kind: 9734,
+    created_at: 1700000000,
+    tags: [["p", recipient], ["anon", `${toBech32("pzap", encrypted)}_${toBech32("iv", iv)}`]],
+    content: "",
+  }, ephemeralKey);
+
+  return ZapReceipt.fromEvent({
+    id: `receipt-${++receiptCount}`,
+    kind: 9735,
+    pubkey: "provider",
+    created_at: 1700000001,
+    tags: [["p", recipient], ["description", JSON.stringify(zapRequest)]],
+    content: "",
+  });
+};
+
+const useSigner = (secretKey) => {
+  const signer = createLocalSigner(secretKey);
+  const decrypt = jest.spyOn(signer.nip04, "decrypt");
+  signerManager.setSigner(signer);
+  return decrypt;
+};
+
+describe("PrivateZapDecryptor", () => {
+  afterEach(() => signerManager.setSigner(null));
+
+  test("受信者は実際の送信者とコメントを復号できる", async () => {
+    const decrypt = useSigner(recipientKey);
+    const receipt = await createPrivateZapReceipt("thanks :)");
+
+    const revealed = await new PrivateZapDecryptor().decrypt(receipt);
+
+    expect(revealed).toEqual({
+      pubkey: getPublicKey(senderKey),
+      content: "thanks :)",
+      emojis: {},
+    });
+    expect(decrypt).toHaveBeenCalledTimes(1);
+    expect(decrypt).toHaveBeenCalledWith(receipt.zapRequest.pubkey, expect.any(String));
+  });
+
+  test("送信者は一時鍵を導出できないため、signerに復号を求めない", async () => {
+    const decrypt = useSigner(senderKey);
+    const receipt = await createPrivateZapReceipt("from me");
+
+    expect(await new PrivateZapDecryptor().decrypt(receipt)).toBeNull();
+    expect(decrypt).not.toHaveBeenCalled();
+  });
+
+  test("受信者以外の閲覧者には、signerに復号を求めない", async () => {
+    const decrypt = useSigner(thirdPartyKey);
+    const receipt = await createPrivateZapReceipt("secret");
+
+    expect(await new PrivateZapDecryptor().decrypt(receipt)).toBeNull();
+    expect(decrypt).not.toHaveBeenCalled();
+  });
+
+  test("signerがない場合は復号しない", async () => {
+    const receipt = await createPrivateZapReceipt("secret");
+
+    expect(await new PrivateZapDecryptor().decrypt(receipt)).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+import { nip19 } from "nostr-tools";
+import { SpamFilter } from "../SpamFilter.js";
+import { ViewerConfig } from "../AppSettings.js";
+import { createZapReceipt, keys } from "./helpers/zaps.js";
+
+const sender = keys();
+const provider = keys();
+const recipient = keys().pubkey;
+
+const zap = (options = {}) => createZapReceipt({ sender, provider, recipient, ...options });
+
+const options = (overrides = {}) => ({
+  minSats: 0,
+  blockedPubkeys: [],
+  blockedWords: [],
+  hideSelfZaps: false,
+  ...overrides,
+});
+
+describe("SpamFilter", () => {
+  const filter = new SpamFilter();
+
+  test("条件が指定されていない場合は除外しない", () => {
+    expect(filter.isEnabled(options())).toBe(false);
+    expect(filter.isFiltered(zap(), options())).toBe(false);
+    expect(filter.isFiltered(zap(), undefined)).toBe(false);
+  });
+
+  test("最小金額未満のZapを除外する", () => {
+    const minSats = options({ minSats: 21 });
+
+    expect(filter.isFiltered(zap({ amountMsats: 20000 }), minSats)).toBe(true);
+    expect(filter.isFiltered(zap({ amountMsats: 21000 }), minSats)).toBe(false);
+  });
+
+  test("金額が不明なZapは最小金額を満たさないものとして除外する", () => {
+    const event = zap();
+    event.tags = event.tags.filter(([name]) => name !== "bolt11");
+
+    expect(filter.isFiltered(event, options({ minSats: 1 }))).toBe(true);
+  });
+
+  test("ブロックした送信者のZapを除外する", () => {
+    expect(filter.isFiltered(zap(), options({ blockedPubkeys: [sender.pubkey] }))).toBe(true);
+    expect(filter.isFiltered(zap(), options({ blockedPubkeys: [recipient] }))).toBe(false);
+  });
+
+  test("hideSelfZapsでは送信者と受信者が同じZapを除外する", () => {
+    const selfZap = createZapReceipt({ sender, provider, recipient: sender.pubkey });
+
+    expect(filter.isFiltered(selfZap, options({ hideSelfZaps: true }))).toBe(true);
+    expect(filter.isFiltered(selfZap, options())).toBe(false);
+    expect(filter.isFiltered(zap(), options({ hideSelfZaps: true }))).toBe(false);
+  });
+
+  test("ブロックしたワードをコメントに含むZapを除外する（大文字・小文字を区別しない）", () => {
+    const blockedWords = options({ blockedWords: ["airdrop"] });
+
+    expect(filter.isFiltered(zap({ comment: "Free AIRDROP here" }), blockedWords)).toBe(true);
+    expect(filter.isFiltered(zap({ comment: "great post" }), blockedWords)).toBe(false);
+  });
+
+  describe("ViewerConfig.determineSpamFilter", () => {
+    const button = (attributes) => {
+      const element = document.createElement("button");
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      return element;
+    };
+
+    test("ボタンの属性から条件を組み立てる", () => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      expect(ViewerConfig.determineSpamFilter(button({
+        "data-min-sats": "10",
+        "data-blocked-pubkeys": `${nip19.npubEncode(sender.pubkey)}, ${recipient.toUpperCase()}, invalid`,
+        "data-blocked-words": "Spam, ,Scam",
+        "data-hide-self-zaps": "TRUE",
+      }))).toEqual({
+        minSats: 10,
+        blockedPubkeys: [sender.pubkey, recipient],
+        blockedWords: ["spam", "scam"],
+        hideSelfZaps: true,
+      });
+      expect(warn).toHaveBeenCalledWith(expect.any(String), "invalid");
+      warn.mockRestore();
+    });
+
+    test("不正な最小金額は既定値にする", () => {
+      expect(ViewerConfig.determineSpamFilter(button({ "data-min-sats": "-5" })).minSats).toBe(0);
+      expect(ViewerConfig.determineSpamFilter(button({ "data-min-sats": "abc" })).minSats).toBe(0);
+    });
+  });
+});
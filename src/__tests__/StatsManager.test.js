@@ -0,0 +1,40 @@
+import { StatsManager } from "../StatsManager.js";
+import { cacheManager } from "../CacheManager.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import { createZapReceipt, keys } from "./helpers/zaps.js";
+
+const { MARK } = APP_CONFIG.ZAP_VALIDATION.POLICIES;
+const provider = keys();
+const recipient = keys().pubkey;
+
+const zap = (sats, options = {}) =>
+  createZapReceipt({ sender: keys(), provider, recipient, amountMsats: sats * 1000, ...options });
+
+describe("StatsManager", () => {
+  let statsManager;
+
+  beforeEach(() => {
+    statsManager = new StatsManager();
+    jest.spyOn(statsManager, "displayStats").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    cacheManager.clearAll();
+    jest.restoreAllMocks();
+  });
+
+  describe("computeLocalStats", () => {
+    test("一覧に表示しないZapも含め、数えられるレシートをすべて集計する", async () => {
+      cacheManager.setZapEvents("view", [zap(100), zap(200, { invoiceMsats: 1000 })]);
+      const hidden = [zap(300), { ...JSON.parse(JSON.stringify(zap(400))), content: "tampered" }];
+
+      const stats = await statsManager.computeLocalStats("view", "npub1test", MARK, true, hidden);
+
+      expect(stats).toEqual(expect.objectContaining({
+        count: 2, msats: 400000, maxMsats: 300000, provider: "loaded", isPartial: false,
+      }));
+      expect(statsManager.getCurrentStats("view")).toBe(stats);
+      expect(statsManager.displayStats).toHaveBeenCalledWith(stats, "view");
+    });
+  });
+});
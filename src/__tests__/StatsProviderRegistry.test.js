@@ -0,0 +1,91 @@
+import { StatsProviderRegistry } from "../StatsProviders.js";
+
+const stats = (count) => ({ count, msats: count * 1000, maxMsats: 1000 });
+
+const provider = (name, getStats, extra = {}) => ({ name, getStats: jest.fn(getStats), ...extra });
+
+describe("StatsProviderRegistry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new StatsProviderRegistry();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("指定した順に問い合わせ、最初に統計を返したプロバイダーの結果を使う", async () => {
+    const first = provider("first", async () => stats(1));
+    const second = provider("second", async () => stats(2));
+    registry.register(first);
+    registry.register(second);
+
+    expect(await registry.fetchStats("npub1test", {}, {}, ["second", "first"])).toEqual({
+      ...stats(2), provider: "second", providerLabel: "second",
+    });
+    expect(first.getStats).not.toHaveBeenCalled();
+  });
+
+  test("統計を返さない・失敗したプロバイダーは次にフォールバックする", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    registry.register(provider("empty", async () => null));
+    registry.register(provider("broken", async () => {
+      throw new Error("unavailable");
+    }));
+    registry.register(provider("local", async () => stats(3), { label: "Loaded zaps" }));
+
+    const result = await registry.fetchStats("npub1test", {}, {}, ["empty", "unknown", "broken", "local"]);
+
+    expect(result).toEqual({ ...stats(3), provider: "local", providerLabel: "Loaded zaps" });
+    expect(warn).toHaveBeenCalledWith("Unknown stats provider:", "unknown");
+  });
+
+  test("すべてのプロバイダーが統計を返さない場合はnull", async () => {
+    registry.register(provider("empty", async () => null));
+
+    expect(await registry.fetchStats("npub1test", {}, {}, ["empty"])).toBeNull();
+  });
+
+  test("時間内に応答しないプロバイダーは中断して次に進む", async () => {
+    jest.useFakeTimers();
+    let signal;
+    registry.register(provider("slow", (identifier, filter, context) => {
+      signal = context.signal;
+      return new Promise(() => {});
+    }, { timeout: 100 }));
+    registry.register(provider("fast", async () => stats(4)));
+
+    const promise = registry.fetchStats("npub1test", {}, {}, ["slow", "fast"]);
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect((await promise).provider).toBe("fast");
+    expect(signal.aborted).toBe(true);
+  });
+
+  test("名前の大文字・小文字や前後の空白を区別しない", async () => {
+    registry.register(provider("Nostr.Band", async () => stats(5)));
+
+    expect(registry.get(" nostr.band ")).toBeDefined();
+    expect((await registry.fetchStats("npub1test", {}, {}, ["NOSTR.BAND"])).count).toBe(5);
+  });
+
+  test("同じ名前で登録し直すと置き換え、登録解除は置き換え後のプロバイダーを残す", () => {
+    const original = provider("custom", async () => stats(1));
+    const replacement = provider("CUSTOM", async () => stats(2));
+    const unregisterOriginal = registry.register(original);
+    const unregisterReplacement = registry.register(replacement);
+
+    unregisterOriginal();
+    expect(registry.get("custom")).toBe(replacement);
+
+    unregisterReplacement();
+    expect(registry.get("custom")).toBeUndefined();
+  });
+
+  test("名前かgetStatsがないプロバイダーは登録できない", () => {
+    expect(() => registry.register({ name: " ", getStats: async () => null })).toThrow();
+    expect(() => registry.register({ name: "invalid" })).toThrow();
+  });
+});
@@ -0,0 +1,76 @@
+import { TimelineChartUI } from "../ui/TimelineChartUI.js";
+import { APP_CONFIG } from "../AppSettings.js";
+
+const { MAX_BUCKETS } = APP_CONFIG.TIMELINE_CONFIG;
+const DAY = 86400;
+
+const at = (isoString) => Date.parse(isoString) / 1000;
+const point = (isoString, sats = 1) => ({ time: at(isoString), sats });
+const toDate = (bucket) => new Date(bucket.time * 1000).toISOString().slice(0, 10);
+
+describe("TimelineChartUI", () => {
+  describe("createBuckets", () => {
+    test("日ごとに合計し、Zapのない日も0として埋める", () => {
+      const buckets = TimelineChartUI.createBuckets([
+        point("2024-01-01T10:00:00Z", 100),
+        point("2024-01-01T23:59:59Z", 21),
+        point("2024-01-03T00:00:00Z", 5),
+      ], "day");
+
+      expect(buckets).toEqual([
+        { time: at("2024-01-01T00:00:00Z"), sats: 121, count: 2 },
+        { time: at("2024-01-02T00:00:00Z"), sats: 0, count: 0 },
+        { time: at("2024-01-03T00:00:00Z"), sats: 5, count: 1 },
+      ]);
+    });
+
+    test("週は月曜始まりで区切る", () => {
+      const buckets = TimelineChartUI.createBuckets([
+        point("2024-01-01T00:00:00Z"), // 月曜
+        point("2024-01-07T23:00:00Z"), // 日曜
+        point("2024-01-08T00:00:00Z"), // 月曜
+      ], "week");
+
+      expect(buckets.map(toDate)).toEqual(["2024-01-01", "2024-01-08"]);
+      expect(buckets.map(bucket => bucket.count)).toEqual([2, 1]);
+    });
+
+    test("月は年をまたいで連続する", () => {
+      const buckets = TimelineChartUI.createBuckets([
+        point("2023-11-15T00:00:00Z"),
+        point("2024-01-31T23:59:59Z"),
+      ], "month");
+
+      expect(buckets.map(toDate)).toEqual(["2023-11-01", "2023-12-01", "2024-01-01"]);
+      expect(buckets.map(bucket => bucket.count)).toEqual([1, 0, 1]);
+    });
+
+    test("最大の本数を超える場合は新しい方の分だけにする", () => {
+      const latest = at("2024-06-30T12:00:00Z");
+      const buckets = TimelineChartUI.createBuckets([
+        { time: latest - 200 * DAY, sats: 1 },
+        { time: latest, sats: 1 },
+      ], "day");
+
+      expect(buckets).toHaveLength(MAX_BUCKETS);
+      expect(toDate(buckets[buckets.length - 1])).toBe("2024-06-30");
+    });
+  });
+
+  describe("chooseUnit", () => {
+    const span = (days) => [
+      point("2024-01-01T00:00:00Z"),
+      { time: at("2024-01-01T00:00:00Z") + days * DAY, sats: 1 },
+    ];
+
+    test("最大の本数に収まる最も細かい単位を選ぶ", () => {
+      expect(TimelineChartUI.chooseUnit(span(MAX_BUCKETS - 1))).toBe("day");
+      expect(TimelineChartUI.chooseUnit(span(MAX_BUCKETS))).toBe("week");
+      expect(TimelineChartUI.chooseUnit(span(MAX_BUCKETS * 7))).toBe("month");
+    });
+
+    test("月単位にも収まらない場合は月単位にする", () => {
+      expect(TimelineChartUI.chooseUnit(span(MAX_BUCKETS * 31))).toBe("month");
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { nip19 } from "nostr-tools";
+import { ZapAnalytics } from "../ZapAnalytics.js";
+import { eventPool } from "../EventPool.js";
+import { cacheManager } from "../CacheManager.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import { ZapReceipt } from "../ZapReceipt.js";
+import { createZapReceipt, keys } from "./helpers/zaps.js";
+
+const { MARK } = APP_CONFIG.ZAP_VALIDATION.POLICIES;
+const { TOP_SUPPORTERS } = APP_CONFIG.ANALYTICS_CONFIG;
+const provider = keys();
+const recipient = keys().pubkey;
+
+const zap = (sender, sats, options = {}) =>
+  createZapReceipt({ sender, provider, recipient, amountMsats: sats * 1000, ...options });
+
+describe("ZapAnalytics", () => {
+  afterEach(() => cacheManager.clearAll());
+
+  describe("analyze", () => {
+    test("件数が奇数の場合は中央の金額を中央値とする", () => {
+      const sender = keys();
+      const result = ZapAnalytics.analyze([zap(sender, 10), zap(sender, 1000), zap(sender, 21)], MARK);
+
+      expect(result.medianMsats).toBe(21000);
+      expect(result.averageMsats).toBe(Math.round(1031000 / 3));
+    });
+
+    test("件数が偶数の場合は中央の2件の平均を中央値とする", () => {
+      const sender = keys();
+      const result = ZapAnalytics.analyze(
+        [zap(sender, 10), zap(sender, 20), zap(sender, 30), zap(sender, 1000)],
+        MARK
+      );
+
+      expect(result.medianMsats).toBe(25000);
+    });
+
+    test("上位の支援者の合計額の割合を求める", () => {
+      // 上位TOP_SUPPORTERS人より少額の支援者を2人加える
+      const events = [
+        ...Array.from({ length: TOP_SUPPORTERS }, () => zap(keys(), 100)),
+        zap(keys(), 50),
+        zap(keys(), 50),
+      ];
+
+      const result = ZapAnalytics.analyze(events, MARK);
+
+      expect(result.uniqueZappers).toBe(TOP_SUPPORTERS + 2);
+      expect(result.topShare).toBeCloseTo((TOP_SUPPORTERS * 100) / (TOP_SUPPORTERS * 100 + 100));
+    });
+
+    test("送信者ごとに合計し、合計額が最も大きい送信者を求める", () => {
+      const frequent = keys();
+      const generous = keys();
+
+      const result = ZapAnalytics.analyze(
+        [zap(frequent, 100), zap(frequent, 100), zap(generous, 500)],
+        MARK
+      );
+
+      expect(result.largestZapper).toEqual({ pubkey: generous.pubkey, msats: 500000, count: 1 });
+      expect(result.uniqueZappers).toBe(2);
+    });
+
+    test("匿名Zapは送信者として数えず、件数と金額には含める", () => {
+      const sender = keys();
+      const result = ZapAnalytics.analyze(
+        [zap(sender, 100), zap(keys(), 200, { requestTags: [["anon"]] })],
+        MARK
+      );
+
+      expect(result.uniqueZappers).toBe(1);
+      expect(result.anonymousCount).toBe(1);
+      expect(result.count).toBe(2);
+      expect(result.msats).toBe(300000);
+    });
+
+    test("金額が一致しないレシートと無効なレシートは集計しない", () => {
+      const sender = keys();
+      const invalid = { ...JSON.parse(JSON.stringify(zap(sender, 300))), content: "tampered" };
+
+      const result = ZapAnalytics.analyze(
+        [zap(sender, 100), zap(sender, 200, { invoiceMsats: 1000 }), invalid],
+        MARK
+      );
+
+      expect(result.count).toBe(1);
+      expect(result.msats).toBe(100000);
+    });
+
+    test("Zapがない場合", () => {
+      expect(ZapAnalytics.analyze([], MARK)).toEqual({
+        count: 0,
+        msats: 0,
+        uniqueZappers: 0,
+        anonymousCount: 0,
+        averageMsats: 0,
+        medianMsats: 0,
+        largestZapper: null,
+        topShare: 0,
+      });
+    });
+  });
+
+  describe("compute", () => {
+    test("バックフィルがない場合は取得済みのZapを集計する", () => {
+      const sender = keys();
+      cacheManager.setZapEvents("view", [zap(sender, 100), zap(sender, 200)]);
+
+      const result = new ZapAnalytics().compute("view", MARK, false);
+
+      expect(result).toEqual(expect.objectContaining({
+        count: 2, msats: 300000, source: "loaded", isComplete: false,
+      }));
+    });
+
+    describe("一覧と同じ述語で絞り込む", () => {
+      const muted = keys();
+      const sender = keys();
+      const isDisplayable = (event) => ZapReceipt.fromEvent(event).sender !== muted.pubkey;
+      let analytics;
+
+      beforeEach(async () => {
+        jest.spyOn(console, "debug").mockImplementation(() => {});
+        analytics = new ZapAnalytics();
+        await analytics.loadDisplayFilter("view", async () => isDisplayable);
+      });
+
+      afterEach(() => jest.restoreAllMocks());
+
+      test("取得済みのZapからミュート対象などを除外する", () => {
+        cacheManager.setZapEvents("view", [zap(sender, 100), zap(muted, 500)]);
+
+        const result = analytics.compute("view", MARK, true);
+
+        expect(analytics.hasDisplayFilter("view")).toBe(true);
+        expect(result).toEqual(expect.objectContaining({ count: 1, msats: 100000, source: "loaded" }));
+      });
+
+      test("バックフィルしたZapにも同じ述語を使う", async () => {
+        cacheManager.setZapEvents("view", [zap(sender, 100)]);
+        jest.spyOn(eventPool, "getZapRelayUrls").mockReturnValue(["wss://relay.example.com"]);
+        jest.spyOn(eventPool, "fetchRelayPage").mockResolvedValue({
+          events: [zap(sender, 200), zap(muted, 500)],
+          isComplete: true,
+        });
+
+        await analytics.backfill("view", { identifier: nip19.npubEncode(recipient), timeRange: null });
+        const result = analytics.compute("view", MARK, false);
+
+        expect(result).toEqual(expect.objectContaining({
+          count: 2, msats: 300000, source: "backfill", isComplete: true,
+        }));
+      });
+    });
+  });
+});
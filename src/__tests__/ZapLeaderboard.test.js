@@ -0,0 +1,129 @@
+import { nip19 } from "nostr-tools";
+import { ZapLeaderboard } from "../ZapLeaderboard.js";
+import { eventPool } from "../EventPool.js";
+import { cacheManager } from "../CacheManager.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import { ZapReceipt } from "../ZapReceipt.js";
+import { createZapReceipt, keys } from "./helpers/zaps.js";
+
+const { MARK } = APP_CONFIG.ZAP_VALIDATION.POLICIES;
+const provider = keys();
+const recipient = keys().pubkey;
+
+const zap = (sender, sats, options = {}) =>
+  createZapReceipt({ sender, provider, recipient, amountMsats: sats * 1000, ...options });
+
+const anonymousZap = (sats) => zap(keys(), sats, { requestTags: [["anon"]] });
+
+// 1つのリレーが新しい順にlimit件ずつ返す
+const stubRelay = (events) => {
+  jest.spyOn(eventPool, "getZapRelayUrls").mockReturnValue(["wss://relay.example.com"]);
+  return jest.spyOn(eventPool, "fetchRelayPage").mockImplementation(async (url, filter) => ({
+    events: events
+      .filter(event => filter.until === undefined || event.created_at <= filter.until)
+      .sort((a, b) => b.created_at - a.created_at)
+      .slice(0, filter.limit),
+    isComplete: true,
+  }));
+};
+
+const config = (overrides = {}) => ({
+  identifier: nip19.npubEncode(recipient),
+  timeRange: null,
+  leaderboardLimit: 1000,
+  ...overrides,
+});
+
+describe("ZapLeaderboard", () => {
+  let leaderboard;
+
+  beforeEach(() => {
+    leaderboard = new ZapLeaderboard();
+  });
+
+  afterEach(() => {
+    cacheManager.clearAll();
+    jest.restoreAllMocks();
+  });
+
+  describe("getRanking", () => {
+    const alice = keys();
+    const bob = keys();
+    const carol = keys();
+
+    beforeEach(() => {
+      cacheManager.setZapEvents("view", [
+        zap(alice, 500),
+        zap(bob, 100), zap(bob, 100), zap(bob, 100),
+        zap(carol, 300),
+        anonymousZap(50), anonymousZap(50),
+      ]);
+    });
+
+    test("合計額の順に並べ、同額の場合は件数の多い順にする", () => {
+      const { entries } = leaderboard.getRanking("view", MARK, "sats", false);
+
+      expect(entries.map(entry => entry.pubkey)).toEqual([alice.pubkey, bob.pubkey, carol.pubkey, null]);
+      expect(entries[0]).toEqual({ pubkey: alice.pubkey, isAnonymous: false, msats: 500000, count: 1 });
+    });
+
+    test("件数の順に並べ、同数の場合は合計額の多い順にする", () => {
+      const { entries } = leaderboard.getRanking("view", MARK, "count", false);
+
+      expect(entries.map(entry => entry.pubkey)).toEqual([bob.pubkey, null, alice.pubkey, carol.pubkey]);
+    });
+
+    test("匿名Zapは1つの項目にまとめる", () => {
+      const { entries, eventCount } = leaderboard.getRanking("view", MARK, "sats", false);
+
+      expect(entries.filter(entry => entry.isAnonymous)).toEqual([
+        { pubkey: null, isAnonymous: true, msats: 100000, count: 2 },
+      ]);
+      expect(eventCount).toBe(7);
+    });
+
+    test("金額が一致しないレシートは順位に含めない", () => {
+      cacheManager.setZapEvents("mismatch", [zap(alice, 100), zap(bob, 9000, { invoiceMsats: 1000 })]);
+
+      const { entries, eventCount } = leaderboard.getRanking("mismatch", MARK, "sats", false);
+
+      expect(entries.map(entry => entry.pubkey)).toEqual([alice.pubkey]);
+      expect(eventCount).toBe(2);
+    });
+  });
+
+  describe("load", () => {
+    beforeEach(() => jest.spyOn(console, "debug").mockImplementation(() => {}));
+
+    test("古いレシートを遡って集計し、すべて取得したら完了とする", async () => {
+      const sender = keys();
+      stubRelay([zap(sender, 100), zap(sender, 200)]);
+
+      await leaderboard.load("view", config());
+      const ranking = leaderboard.getRanking("view", MARK, "sats", false);
+
+      expect(ranking.entries).toEqual([
+        { pubkey: sender.pubkey, isAnonymous: false, msats: 300000, count: 2 },
+      ]);
+      expect(ranking.isComplete).toBe(true);
+      expect(ranking.isLimitReached).toBe(false);
+    });
+
+    test("一覧と同じ述語で除外し、上限は除外したものを含めた件数で判定する", async () => {
+      const muted = keys();
+      const sender = keys();
+      // ミュート対象の方が新しく、先に取得される
+      stubRelay([zap(sender, 100), zap(sender, 100), zap(sender, 100), zap(muted, 100), zap(muted, 100)]);
+      const isDisplayable = (event) => ZapReceipt.fromEvent(event).sender !== muted.pubkey;
+
+      await leaderboard.load("view", config({ leaderboardLimit: 3 }), async () => isDisplayable);
+      const ranking = leaderboard.getRanking("view", MARK, "sats", false);
+
+      expect(ranking.entries).toEqual([
+        { pubkey: sender.pubkey, isAnonymous: false, msats: 100000, count: 1 },
+      ]);
+      expect(ranking.isLimitReached).toBe(true);
+      expect(ranking.isComplete).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { ZapListUI } from "../ui/ZapListUI.js";
+import { muteListManager } from "../MuteListManager.js";
+import { privateZapDecryptor } from "../PrivateZapDecryptor.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import { createZapReceipt, keys } from "./helpers/zaps.js";
+
+const sender = keys();
+const provider = keys();
+const recipient = keys().pubkey;
+
+const createListUI = (config = {}) => {
+  const host = document.createElement("div");
+  const shadowRoot = host.attachShadow({ mode: "open" });
+  shadowRoot.innerHTML = `
+    <ul class="dialog-zap-list">
+      <li class="zap-list-item placeholder" data-index="0"></li>
+    </ul>`;
+  const profileUI = { loadAndUpdate: jest.fn(async () => {}) };
+  const ui = new ZapListUI(shadowRoot, profileUI, "view", {
+    identifier: "npub1test",
+    muteListMode: APP_CONFIG.MUTE_LIST_CONFIG.MODES.NONE,
+    ...config,
+  });
+  return { ui, shadowRoot };
+};
+
+describe("ZapListUI", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("replacePlaceholderWithZap", () => {
+    test("プレースホルダーを、詳細の表示ボタンを付けたZapに置き換える", async () => {
+      const { ui, shadowRoot } = createListUI();
+      const event = createZapReceipt({ sender, provider, recipient });
+
+      await ui.replacePlaceholderWithZap(event, 0);
+
+      const item = shadowRoot.querySelector(".zap-list-item");
+      expect(item.classList.contains("placeholder")).toBe(false);
+      expect(item.hasAttribute("data-index")).toBe(false);
+      expect(item.getAttribute("data-event-id")).toBe(event.id);
+      expect(item.querySelector(".zap-detail-toggle")).not.toBeNull();
+    });
+
+    test("collapseモードでは、ミュート対象のZapを折りたたむ", async () => {
+      jest.spyOn(muteListManager, "loadWithTimeout").mockResolvedValue({
+        pubkeys: new Set([sender.pubkey]), hashtags: new Set(), words: [], eventIds: new Set(),
+      });
+      jest.spyOn(muteListManager, "load").mockResolvedValue(null);
+      const { ui, shadowRoot } = createListUI({
+        muteListMode: APP_CONFIG.MUTE_LIST_CONFIG.MODES.COLLAPSE,
+      });
+
+      await ui.replacePlaceholderWithZap(createZapReceipt({ sender, provider, recipient }), 0);
+
+      const item = shadowRoot.querySelector(".zap-list-item");
+      expect(item.classList.contains("is-muted")).toBe(true);
+      expect(item.querySelector(".zap-muted-toggle")).not.toBeNull();
+    });
+
+    test("プライベートZapは、置き換えた要素で復号を試みる", async () => {
+      const decrypt = jest.spyOn(privateZapDecryptor, "decrypt").mockResolvedValue(null);
+      const { ui } = createListUI({ decryptPrivateZaps: true });
+      const event = createZapReceipt({
+        sender, provider, recipient, requestTags: [["anon", "pzap1invalid_iv1invalid"]],
+      });
+
+      await ui.replacePlaceholderWithZap(event, 0);
+
+      expect(decrypt).toHaveBeenCalledWith(expect.objectContaining({ id: event.id }));
+    });
+  });
+});
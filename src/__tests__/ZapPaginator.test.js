@@ -0,0 +1,206 @@
+import { ZapPaginator } from "../ZapPaginator.js";
+import { APP_CONFIG } from "../AppSettings.js";
+
+const zap = (id, created_at) => ({ id, created_at, kind: 9735 });
+
+/**
+ * リレーの応答を再現する（untilは境界の秒を含み、新しい順にlimit件を返す）
+ * failuresに指定した回数だけ、EOSEを受信できなかった（タイムアウトした）ものとして空で返す
+ */
+const createRelay = (events, { failures = 0 } = {}) => {
+  const relay = {
+    requests: [],
+    fetchPage: async (filter) => {
+      relay.requests.push(filter);
+      if (failures > 0) {
+        failures--;
+        return { events: [], isComplete: false };
+      }
+      const page = events
+        .filter(event => filter.until === undefined || event.created_at <= filter.until)
+        .sort((a, b) => b.created_at - a.created_at)
+        .slice(0, filter.limit);
+      return { events: page, isComplete: true };
+    },
+  };
+  return relay;
+};
+
+const createPaginator = (relays, pageSize) => new ZapPaginator({
+  baseReq: { kinds: [9735], "#p": ["pubkey"], limit: 20 },
+  relayUrls: Object.keys(relays),
+  fetchPage: (url, filter) => relays[url].fetchPage(filter),
+  pageSize,
+});
+
+const loadAll = async (paginator, count) => {
+  const events = [];
+  for (let i = 0; i < 20 && !paginator.isExhausted; i++) {
+    events.push(...await paginator.loadMore(count));
+  }
+  return events;
+};
+
+const ids = (events) => events.map(event => event.id);
+
+describe("ZapPaginator", () => {
+  test("untilの境界の秒に残ったイベントを取りこぼさない", async () => {
+    const events = [
+      zap("a", 103), zap("b", 102), zap("c", 101),
+      zap("d", 101), zap("e", 101), zap("f", 100),
+    ];
+    const relay = createRelay(events);
+    const paginator = createPaginator({ "wss://a": relay }, 3);
+
+    const loaded = await loadAll(paginator, 3);
+
+    expect(ids(loaded)).toEqual(["a", "b", "c", "d", "e", "f"]);
+    // 同じ秒のイベントを取得し直すため、次のページは境界の秒を含む
+    expect(relay.requests[1].until).toBe(101);
+    expect(paginator.isExhausted).toBe(true);
+  });
+
+  test("複数のリレーから受信した同じイベントを一度だけ返す", async () => {
+    const shared = [zap("a", 105), zap("b", 104), zap("c", 103)];
+    const paginator = createPaginator({
+      "wss://a": createRelay([...shared, zap("d", 102)]),
+      "wss://b": createRelay([...shared, zap("e", 101)]),
+    }, 10);
+
+    const loaded = await loadAll(paginator, 10);
+
+    expect(ids(loaded)).toEqual(["a", "b", "c", "d", "e"]);
+  });
+
+  test("表示済みのイベントを返さない", async () => {
+    const paginator = createPaginator({
+      "wss://a": createRelay([zap("a", 103), zap("b", 102), zap("c", 101)]),
+    }, 10);
+    paginator.markSeen(["a", "b"]);
+
+    expect(ids(await loadAll(paginator, 10))).toEqual(["c"]);
+  });
+
+  test("速いリレーのイベントを、遅いリレーが追いつくまで返さない", async () => {
+    const fast = createRelay(Array.from({ length: 10 }, (_, i) => zap(`fast-${i}`, 110 - i)));
+    const slow = createRelay([zap("slow-1", 108), zap("slow-2", 104)], { failures: 1 });
+    const paginator = createPaginator({ "wss://fast": fast, "wss://slow": slow }, 5);
+
+    const loaded = await loadAll(paginator, 5);
+
+    // 遅いリレーが最初にタイムアウトしても、より新しいイベントが後から割り込まない
+    const times = loaded.map(event => event.created_at);
+    expect(times).toEqual([...times].sort((a, b) => b - a));
+    expect(ids(loaded)).toEqual(expect.arrayContaining(["slow-1", "slow-2"]));
+    expect(loaded).toHaveLength(12);
+  });
+
+  test("1つの秒だけで1ページが埋まる場合も、その秒を飛ばして先に進む", async () => {
+    const events = [
+      ...Array.from({ length: 5 }, (_, i) => zap(`same-${i}`, 100)),
+      zap("older", 99),
+    ];
+    const relay = createRelay(events);
+    const paginator = createPaginator({ "wss://a": relay }, 3);
+
+    const loaded = await loadAll(paginator, 3);
+
+    expect(ids(loaded)).toContain("older");
+    expect(new Set(ids(loaded)).size).toBe(loaded.length);
+    expect(relay.requests.map(filter => filter.until)).toEqual([undefined, 100, 99]);
+    expect(paginator.isExhausted).toBe(true);
+  });
+
+  test("すべてのリレーがlimit未満の件数を返した場合にのみ終端とみなす", async () => {
+    const paginator = createPaginator({
+      "wss://short": createRelay([zap("a", 105)]),
+      "wss://full": createRelay([zap("b", 104), zap("c", 103), zap("d", 102)]),
+    }, 2);
+
+    // 取得済みの分をすべて返した後も、limit件を返したリレーが残っていれば続きがある
+    expect(ids(await paginator.loadMore(3))).toEqual(["a", "b", "c"]);
+    expect(paginator.isExhausted).toBe(false);
+
+    await loadAll(paginator, 2);
+    expect(paginator.isExhausted).toBe(true);
+  });
+
+  test("EOSEを受信できなかったページでは終端とみなさない", async () => {
+    const relay = createRelay([zap("a", 105)], { failures: 1 });
+    const paginator = createPaginator({ "wss://a": relay }, 2);
+
+    expect(await paginator.loadMore(2)).toEqual([zap("a", 105)]);
+    expect(relay.requests).toHaveLength(2);
+    expect(paginator.isExhausted).toBe(true);
+  });
+
+  test("連続してタイムアウトしたリレーはその読み込みから外すが、終端とはみなさない", async () => {
+    const { MAX_FAILURES } = APP_CONFIG.PAGINATION_CONFIG;
+    const relay = createRelay([zap("a", 105)], { failures: MAX_FAILURES });
+    const paginator = createPaginator({ "wss://a": relay }, 2);
+
+    expect(await paginator.loadMore(2)).toEqual([]);
+    expect(relay.requests).toHaveLength(MAX_FAILURES);
+    expect(paginator.isExhausted).toBe(false);
+    expect(paginator.isStalled).toBe(true);
+
+    // 次の読み込みで再試行し、応答すれば続きを返す
+    expect(ids(await paginator.loadMore(2))).toEqual(["a"]);
+    expect(paginator.isExhausted).toBe(true);
+    expect(paginator.isStalled).toBe(false);
+  });
+
+  test("クールダウン中のリレーがすぐに失敗を返しても、他のリレーの分を返して終端とはみなさない", async () => {
+    const { MAX_FAILURES } = APP_CONFIG.PAGINATION_CONFIG;
+    const cooling = createRelay([zap("old", 90)], { failures: Infinity });
+    const healthy = createRelay([zap("a", 105), zap("b", 104)]);
+    const paginator = createPaginator({ "wss://cooling": cooling, "wss://healthy": healthy }, 10);
+
+    expect(ids(await paginator.loadMore(10))).toEqual(["a", "b"]);
+    expect(cooling.requests).toHaveLength(MAX_FAILURES);
+    expect(paginator.isExhausted).toBe(false);
+    expect(paginator.isStalled).toBe(true);
+
+    // 以降の読み込みでは1回ずつだけ再試行する
+    await paginator.loadMore(10);
+    expect(cooling.requests).toHaveLength(MAX_FAILURES + 1);
+    expect(paginator.isExhausted).toBe(false);
+  });
+
+  test("collectは応答しないリレーだけが残った時点で止め、終端とはみなさない", async () => {
+    const cooling = createRelay([zap("old", 90)], { failures: Infinity });
+    const healthy = createRelay([zap("a", 105), zap("b", 104), zap("c", 103)]);
+    const paginator = createPaginator({ "wss://cooling": cooling, "wss://healthy": healthy }, 2);
+
+    const events = await paginator.collect(100, { deadline: Date.now() + 60000 });
+
+    expect(ids(events)).toEqual(["a", "b", "c"]);
+    expect(paginator.isExhausted).toBe(false);
+  });
+
+  test("fetchPageの例外は失敗として扱う", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const paginator = new ZapPaginator({
+      baseReq: { kinds: [9735] },
+      relayUrls: ["wss://a"],
+      fetchPage: async () => {
+        throw new Error("connection failed");
+      },
+      pageSize: 2,
+    });
+
+    expect(await paginator.loadMore(2)).toEqual([]);
+    expect(paginator.isExhausted).toBe(false);
+    expect(paginator.isStalled).toBe(true);
+    warn.mockRestore();
+  });
+
+  test("seedでEOSEまで受信できなかったリレーは最新から取得し直す", async () => {
+    const relay = createRelay([zap("a", 105), zap("b", 104)]);
+    const paginator = createPaginator({ "wss://a": relay }, 10);
+    paginator.seed("wss://a", [zap("a", 105)], 1, false);
+
+    expect(ids(await paginator.loadMore(10))).toEqual(["b"]);
+    expect(relay.requests[0].until).toBeUndefined();
+  });
+});
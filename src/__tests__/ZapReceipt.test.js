@@ -0,0 +1,40 @@
+import { ZapReceipt } from "../ZapReceipt.js";
+
+const SENDER = "a".repeat(64);
+const REQUEST_PUBKEY = "b".repeat(64);
+
+let receiptCount = 0;
+const createReceipt = ({ senderTag, requestPubkey = REQUEST_PUBKEY } = {}) => new ZapReceipt({
+  id: `receipt-${++receiptCount}`,
+  kind: 9735,
+  pubkey: "c".repeat(64),
+  created_at: 1700000000,
+  tags: [
+    ["p", "d".repeat(64)],
+    ...(senderTag === undefined ? [] : [["P", senderTag]]),
+    ["description", JSON.stringify({ kind: 9734, pubkey: requestPubkey, tags: [], content: "hi" })],
+  ],
+  content: "",
+});
+
+describe("ZapReceipt.sender", () => {
+  test("Pタグのpubkeyを送信者とする", () => {
+    expect(createReceipt({ senderTag: SENDER }).sender).toBe(SENDER);
+  });
+
+  test("Pタグがない場合はZapリクエストのpubkeyを使う", () => {
+    expect(createReceipt().sender).toBe(REQUEST_PUBKEY);
+  });
+
+  test.each([
+    ['"><img src=x onerror=alert(1)>'],
+    [SENDER.toUpperCase()],
+    [SENDER.slice(1)],
+  ])("pubkeyの形式でないPタグ（%s）は送信者として扱わない", (senderTag) => {
+    expect(createReceipt({ senderTag }).sender).toBeNull();
+  });
+
+  test("pubkeyの形式でないZapリクエストのpubkeyも送信者として扱わない", () => {
+    expect(createReceipt({ requestPubkey: '" onmouseover="alert(1)' }).sender).toBeNull();
+  });
+});
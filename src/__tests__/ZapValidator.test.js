@@ -0,0 +1,97 @@
+import { ZapValidator } from "../ZapValidator.js";
+import { ZapReceipt } from "../ZapReceipt.js";
+import { lnurlResolver } from "../LnurlResolver.js";
+import { LocalAggregateStatsProvider } from "../StatsProviders.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import { createZapReceipt, keys } from "./helpers/zaps.js";
+
+const { ERRORS } = ZapValidator;
+const sender = keys();
+const provider = keys();
+const recipient = keys().pubkey;
+const eventId = "e".repeat(64);
+
+const zap = (options = {}) => createZapReceipt({ sender, provider, recipient, ...options });
+
+describe("ZapValidator", () => {
+  const validator = new ZapValidator();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("正しいレシートを有効と判定する", () => {
+    expect(validator.validate(zap())).toEqual({ isValid: true, errors: [] });
+  });
+
+  test("e/aタグが一致するレシートを有効と判定する", () => {
+    const address = `30023:${recipient}:article`;
+    const event = zap({
+      requestTags: [["e", eventId], ["a", address]],
+      receiptTags: [["e", eventId], ["a", address]],
+    });
+
+    expect(validator.validate(event).isValid).toBe(true);
+  });
+
+  test("リクエストとインボイスの金額が異なるレシートを統計に含めない", () => {
+    const event = zap({ amountMsats: 21000, invoiceMsats: 1000 });
+
+    expect(ZapReceipt.fromEvent(event).isAmountMismatch).toBe(true);
+    expect(LocalAggregateStatsProvider.getCountableAmount(
+      event, APP_CONFIG.ZAP_VALIDATION.POLICIES.MARK,
+    )).toBe(0);
+  });
+
+  test("リクエストの受信者がレシートと異なる場合は無効", () => {
+    const event = zap({ requestRecipients: [keys().pubkey] });
+
+    expect(validator.validate(event).errors).toEqual([ERRORS.RECIPIENT_MISMATCH]);
+  });
+
+  test("リクエストにpタグがない、または複数ある場合は無効", () => {
+    expect(validator.validate(zap({ requestRecipients: [] })).errors)
+      .toEqual([ERRORS.RECIPIENT_MISMATCH]);
+    expect(validator.validate(zap({ requestRecipients: [recipient, keys().pubkey] })).errors)
+      .toEqual([ERRORS.RECIPIENT_MISMATCH]);
+  });
+
+  test("リクエストとレシートのZap対象が異なる場合は無効", () => {
+    const otherEventId = "f".repeat(64);
+
+    expect(validator.validate(zap({ requestTags: [["e", eventId]] })).errors)
+      .toEqual([ERRORS.TARGET_MISMATCH]);
+    expect(validator.validate(zap({ receiptTags: [["e", eventId]] })).errors)
+      .toEqual([ERRORS.TARGET_MISMATCH]);
+    expect(validator.validate(zap({
+      requestTags: [["e", eventId]],
+      receiptTags: [["e", otherEventId]],
+    })).errors).toEqual([ERRORS.TARGET_MISMATCH]);
+  });
+
+  test("リクエストの署名が不正な場合は無効", () => {
+    const event = zap({ mapRequest: (request) => ({ ...request, content: "tampered" }) });
+
+    expect(validator.validate(event).errors).toEqual([ERRORS.INVALID_REQUEST_SIGNATURE]);
+  });
+
+  test("レシートの署名が不正な場合は無効", () => {
+    const event = { ...JSON.parse(JSON.stringify(zap())), content: "tampered" };
+
+    expect(validator.validate(event).errors).toEqual([ERRORS.INVALID_RECEIPT_SIGNATURE]);
+  });
+
+  test("レシートの署名者が受信者のLNURLプロバイダーと異なる場合は無効", async () => {
+    jest.spyOn(lnurlResolver, "resolve").mockResolvedValue({ nostrPubkey: keys().pubkey });
+    const event = zap();
+
+    const result = await validator.verifyProvider(event, recipient);
+
+    expect(result).toEqual({ isValid: false, errors: [ERRORS.PROVIDER_MISMATCH] });
+    expect(validator.validate(event)).toEqual(result);
+  });
+
+  test("レシートの署名者が受信者のLNURLプロバイダーと一致すれば有効", async () => {
+    jest.spyOn(lnurlResolver, "resolve").mockResolvedValue({ nostrPubkey: provider.pubkey });
+
+    expect((await validator.verifyProvider(zap(), recipient)).isValid).toBe(true);
+  });
+});
@@ -0,0 +1,13 @@
+const { TestEnvironment } = require("jest-environment-jsdom");
+const { TextEncoder, TextDecoder } = require("util");
+
+/**
+ * jsdomにはTextEncoderがなく、Uint8Arrayも別のrealmのものになるため、
+ * noble/nostr-toolsが受け取るバイト列の型が一致するようNode.jsの実装を使う
+ */
+module.exports = class Environment extends TestEnvironment {
+  constructor(...args) {
+    super(...args);
+    Object.assign(this.global, { TextEncoder, TextDecoder, Uint8Array, ArrayBuffer });
+  }
+};
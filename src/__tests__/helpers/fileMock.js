@@ -0,0 +1,2 @@
+// webpackではインライン化されるアセット（svg/css）の代わり
+module.exports = "";
@@ -0,0 +1,4 @@
+import { APP_CONFIG } from "../../AppSettings.js";
+
+// ブラウザではindex.jsがwindowに公開するライブラリを、テストでも同じように参照できるようにする
+Object.assign(window, APP_CONFIG.LIBRARIES);
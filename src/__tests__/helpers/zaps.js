@@ -0,0 +1,86 @@
+import { bech32 } from "@scure/base";
+import { sha256 } from "@noble/hashes/sha256";
+import { bytesToHex, hexToBytes } from "@noble/hashes/utils";
+import { generateSecretKey, getPublicKey, finalizeEvent } from "nostr-tools";
+
+/**
+ * テスト用のBOLT11インボイス（金額・description_hashのみ。署名は検証されないため任意の値）
+ * @param {number} amountMsats 100 msatsの倍数
+ * @param {string} descriptionHash hex
+ */
+export const encodeBolt11 = (amountMsats, descriptionHash) => {
+  const timestamp = 1700000000;
+  const timestampWords = Array.from({ length: 7 }, (_, i) => (timestamp >> (5 * (6 - i))) & 31);
+  const taggedField = (type, bytes) => {
+    const words = bech32.toWords(bytes);
+    return [type, words.length >> 5, words.length & 31, ...words];
+  };
+
+  const words = [
+    ...timestampWords,
+    ...taggedField(1, new Uint8Array(32).fill(1)), // payment_hash
+    ...taggedField(23, hexToBytes(descriptionHash)), // description_hash
+    ...bech32.toWords(new Uint8Array(65)), // signature
+  ];
+  return bech32.encode(`lnbc${amountMsats / 100}n`, words, 2000);
+};
+
+export const keys = () => {
+  const secretKey = generateSecretKey();
+  return { secretKey, pubkey: getPublicKey(secretKey) };
+};
+
+let receiptCount = 0;
+
+/**
+ * 検証を通る kind 9735 を作成する。各引数でリクエストやレシートの一部を差し替えられる
+ * @param {Object} options
+ * @param {{secretKey: Uint8Array}} options.sender
+ * @param {{secretKey: Uint8Array}} options.provider
+ * @param {string} options.recipient
+ * @param {number} [options.amountMsats]
+ * @param {number} [options.invoiceMsats]
+ * @param {string} [options.comment]
+ * @param {string[][]} [options.requestTags] pタグ・amountタグ以外のリクエストのタグ
+ * @param {string[][]} [options.receiptTags] pタグ・description・bolt11以外のレシートのタグ
+ * @param {string[]} [options.requestRecipients] リクエストのpタグ（省略時はrecipientのみ）
+ * @param {function(Object): Object} [options.mapRequest] 署名後のリクエストを書き換える
+ */
+export const createZapReceipt = ({
+  sender,
+  provider,
+  recipient,
+  amountMsats = 21000,
+  invoiceMsats = amountMsats,
+  comment = "zap!",
+  requestTags = [],
+  receiptTags = [],
+  requestRecipients = [recipient],
+  mapRequest = (request) => request,
+}) => {
+  const zapRequest = mapRequest(finalizeEvent({
+    kind: 9734,
+    created_at: 1700000000,
+    tags: [
+      ...requestRecipients.map(pubkey => ["p", pubkey]),
+      ["amount", String(amountMsats)],
+      ["relays", "wss://relay.example.com"],
+      ...requestTags,
+    ],
+    content: comment,
+  }, sender.secretKey));
+  const description = JSON.stringify(zapRequest);
+  const descriptionHash = bytesToHex(sha256(new TextEncoder().encode(description)));
+
+  return finalizeEvent({
+    kind: 9735,
+    created_at: 1700000000 + (++receiptCount),
+    tags: [
+      ["p", recipient],
+      ...receiptTags,
+      ["description", description],
+      ["bolt11", encodeBolt11(invoiceMsats, descriptionHash)],
+    ],
+    content: "",
+  }, provider.secretKey);
+};
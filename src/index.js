@@ -11,6 +11,9 @@ import { statsManager } from "./StatsManager.js";
 import { profilePool } from "./ProfilePool.js";
 import { eventPool } from "./EventPool.js";
 import { cacheManager } from "./CacheManager.js";
+import { signerManager } from "./SignerManager.js";
+import { statsProviderRegistry } from "./StatsProviders.js";
+import { relayHealthMonitor } from "./RelayHealthMonitor.js";
 
 
 // 初期化関連の処理をまとめる
@@ -52,6 +55,8 @@ async function handleButtonClick(button, viewId) {
     // 非同期処理を実行
     setTimeout(async () => {
       await initializeViewer(viewId, config);
+      // data-relay-urlsと受信者のNIP-65リレーリストから購読先を決定（キャッシュされるため再表示時は即座に完了）
+      await subscriptionManager.discoverRelays(viewId);
 
       if (!button.hasAttribute("data-initialized")) {
         const identifier = button.getAttribute("data-nzv-id");
@@ -59,9 +64,11 @@ async function handleButtonClick(button, viewId) {
           eventPool.connectToRelays(config.relayUrls),
           subscriptionManager.initializeSubscriptions(config, viewId),
           // 統計情報の初期化を一度だけ行う
-          identifier ? statsManager.initializeStats(identifier, viewId, true) : Promise.resolve()
+          identifier ? statsManager.initializeStats(identifier, viewId, true, config) : Promise.resolve()
         ]);
         button.setAttribute("data-initialized", "true");
+      } else {
+        subscriptionManager.resumeLiveSubscription(viewId);
       }
     }, 0);
   } catch (error) {
@@ -95,10 +102,44 @@ if (typeof window !== 'undefined') {
 
 // 初期化関数をexport
 export function nostrZapView(options = {}) {
+  const { signer, ...settings } = options;
+  // window.nostrの代わりに使うsigner（ローカル鍵ペアなど）
+  if (signer) {
+    signerManager.setSigner(signer);
+  }
+
   // カスタム設定のマージ
-  Object.assign(APP_CONFIG, options);
+  Object.assign(APP_CONFIG, settings);
   
   if (typeof window !== 'undefined') {
     initializeApp();
   }
 }
+
+/**
+ * リレーごとの応答状況を取得（デバッグ用）
+ * @param {string[]} [relayUrls] 省略時は記録のあるすべてのリレー
+ * @returns {import("./RelayHealthMonitor.js").RelayHealth[]}
+ */
+export function getRelayHealth(relayUrls) {
+  return relayHealthMonitor.getHealthReport(relayUrls);
+}
+
+/**
+ * ビューで取得したZapのうち、各リレーが保持していた件数を取得
+ * @param {string} viewId ボタンのdata-zap-view-id
+ * @returns {Array<{url: string, count: number, total: number}>}
+ */
+export function getRelayCoverage(viewId) {
+  const relayUrls = subscriptionManager.getViewConfig(viewId)?.relayUrls || [];
+  return cacheManager.getRelayCoverage(viewId, relayUrls);
+}
+
+/**
+ * 統計のプロバイダーを登録（data-stats-providersで名前を指定して使う）
+ * @param {import("./StatsProviders.js").StatsProvider} provider
+ * @returns {function(): void} 登録解除
+ */
+export function registerStatsProvider(provider) {
+  return statsProviderRegistry.register(provider);
+}
@@ -4,6 +4,26 @@ declare module 'nostr-zap-view' {
     pubkey?: string;
     noteId?: string;
     colorMode?: boolean;
+    validationPolicy?: 'hide' | 'mark' | 'none';
+    decryptPrivateZaps?: boolean;
+    mediaPreview?: boolean;
+    muteListMode?: 'hide' | 'collapse' | 'none';
+    liveMode?: boolean;
+    timeRange?: {
+      since: number | null;
+      until: number | null;
+    };
+    rangePicker?: boolean;
+    statsProviders?: string[] | null;
+    statsEndpoint?: string | null;
+    leaderboardLimit?: number;
+    timelineChart?: boolean;
+    spamFilter?: {
+      minSats: number;
+      blockedPubkeys: string[];
+      blockedWords: string[];
+      hideSelfZaps: boolean;
+    };
   }
 
   export class ViewerConfig {
@@ -22,10 +42,11 @@ declare module 'nostr-zap-view' {
     setViewConfig(viewId: string, config: ViewerConfigType): void;
     setupInfiniteScroll(viewId: string): void;
     initializeSubscriptions(config: ViewerConfigType, viewId: string): Promise<void>;
+    changeTimeRange(viewId: string, timeRange: { since: number | null; until: number | null }): Promise<void>;
   }
 
   export interface StatsManager {
-    initializeStats(identifier: string, viewId: string, initialize: boolean): Promise<void>;
+    initializeStats(identifier: string, viewId: string, initialize: boolean, config?: ViewerConfigType): Promise<void>;
   }
 
   export interface CacheManager {
@@ -35,6 +56,50 @@ declare module 'nostr-zap-view' {
     }>;
   }
 
+  export interface RelayHealth {
+    url: string;
+    status: 'unknown' | 'connecting' | 'connected' | 'failed';
+    lastLatency: number | null;
+    averageLatency: number | null;
+    requestCount: number;
+    eoseCount: number;
+    eventCount: number;
+    errorCount: number;
+    consecutiveFailures: number;
+    lastError: string | null;
+    lastSuccessAt: number | null;
+    lastFailureAt: number | null;
+    messages: Array<{ type: 'notice' | 'closed'; message: string; at: number }>;
+    isAvailable: boolean;
+  }
+
+  export interface ZapStats {
+    count: number;
+    msats: number;
+    maxMsats: number;
+    isAmountUnknown?: boolean;
+    isPartial?: boolean;
+    aggregatedUntil?: number;
+    detail?: string;
+    detailTitle?: string;
+  }
+
+  export interface StatsProvider {
+    name: string;
+    label?: string;
+    timeout?: number;
+    getStats(
+      identifier: string,
+      filter: Record<string, any>,
+      context: {
+        relayUrls?: string[];
+        endpoint?: string | null;
+        validationPolicy?: string;
+        signal?: AbortSignal;
+      }
+    ): Promise<ZapStats | null>;
+  }
+
   export const profilePool: ProfilePool;
   export const eventPool: EventPool;
   export const APP_CONFIG: any;
@@ -43,4 +108,7 @@ declare module 'nostr-zap-view' {
   export const statsManager: StatsManager;
 
   export function initialize(options?: Record<string, any>): void;
+  export function getRelayHealth(relayUrls?: string[]): RelayHealth[];
+  export function getRelayCoverage(viewId: string): Array<{ url: string; count: number; total: number }>;
+  export function registerStatsProvider(provider: StatsProvider): () => void;
 }
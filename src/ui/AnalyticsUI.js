@@ -0,0 +1,159 @@
+import { zapAnalytics } from "../ZapAnalytics.js";
+import { cacheManager } from "../CacheManager.js";
+import { profilePool } from "../ProfilePool.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import { escapeHTML, formatNumber, formatIdentifier, encodeNpub, getProfileDisplayName } from "../utils.js";
+
+/**
+ * 統計の下の詳細な集計（送信者数・平均・中央値・最大の送信者・上位の割合）
+ * 開いている間だけ集計し、Zapの変化（zapAnalytics.onChange）に合わせて描画し直す
+ */
+export class AnalyticsUI {
+  #unsubscribe;
+  #frameId = null;
+  #isOpen = false;
+
+  /**
+   * @param {ShadowRoot} rootElement
+   * @param {string} viewId
+   * @param {function(): ViewerConfig} getConfig
+   * @param {function(): boolean} isFullyLoaded ビューのZapをすべて読み込み済みか
+   * @param {function(): Promise<function(Object): boolean>} getDisplayFilter 一覧と同じ絞り込みの述語
+   */
+  constructor(rootElement, viewId, getConfig, isFullyLoaded, getDisplayFilter) {
+    this.root = rootElement;
+    this.viewId = viewId;
+    this.getConfig = getConfig;
+    this.isFullyLoaded = isFullyLoaded;
+    this.getDisplayFilter = getDisplayFilter;
+    this.#unsubscribe = zapAnalytics.onChange((changedViewId) => {
+      if (changedViewId === this.viewId) this.render();
+    });
+
+    const container = this.root?.querySelector(".zap-analytics");
+    // 再描画で生成したdetailsもtoggleを発火するため、開閉状態が変わった場合のみ描画する
+    container?.addEventListener("toggle", (e) => {
+      if (e.target.open === this.#isOpen) return;
+      this.#isOpen = e.target.open;
+      if (this.#isOpen) this.render();
+    }, true);
+    container?.addEventListener("click", (e) => {
+      if (!e.target.closest(".zap-analytics-backfill")) return;
+      const config = this.getConfig();
+      if (config) zapAnalytics.backfill(this.viewId, config);
+    });
+    this.render();
+  }
+
+  render() {
+    if (this.#frameId !== null) return;
+
+    this.#frameId = requestAnimationFrame(() => {
+      this.#frameId = null;
+      const container = this.root?.querySelector(".zap-analytics");
+      if (!container) return;
+
+      if (!this.#isOpen) {
+        container.innerHTML = this.#createClosedHTML();
+        return;
+      }
+
+      // 一覧と同じ条件で集計するため、絞り込みの述語を読み込むまでは数値を表示しない
+      if (!zapAnalytics.hasDisplayFilter(this.viewId)) {
+        zapAnalytics.loadDisplayFilter(this.viewId, this.getDisplayFilter);
+        container.innerHTML = this.#createLoadingHTML();
+        return;
+      }
+
+      const config = this.getConfig();
+      const analytics = zapAnalytics.compute(this.viewId, config?.validationPolicy, this.isFullyLoaded());
+      container.innerHTML = this.#createAnalyticsHTML(analytics);
+      this.#loadZapperProfile(analytics.largestZapper?.pubkey);
+    });
+  }
+
+  destroy() {
+    this.#unsubscribe?.();
+    if (this.#frameId !== null) {
+      cancelAnimationFrame(this.#frameId);
+      this.#frameId = null;
+    }
+  }
+
+  #createClosedHTML() {
+    return "<details><summary>Analytics</summary></details>";
+  }
+
+  #createLoadingHTML() {
+    return '<details open><summary>Analytics · <span class="zap-analytics-status is-partial">loading</span></summary></details>';
+  }
+
+  #createAnalyticsHTML(analytics) {
+    const { TOP_SUPPORTERS } = APP_CONFIG.ANALYTICS_CONFIG;
+    const anonymous = analytics.anonymousCount
+      ? ` <span class="zap-analytics-note">+ ${formatNumber(analytics.anonymousCount)} anonymous</span>`
+      : "";
+    const status = analytics.isComplete ? "complete" : "partial";
+
+    return `
+      <details open>
+        <summary>Analytics · <span class="zap-analytics-status is-${status}">${status}</span></summary>
+        <dl class="zap-analytics-list">
+          <dt>Unique zappers</dt>
+          <dd>${formatNumber(analytics.uniqueZappers)}${anonymous}</dd>
+          <dt>Average zap</dt>
+          <dd>${this.#formatSats(analytics.averageMsats)}</dd>
+          <dt>Median zap</dt>
+          <dd>${this.#formatSats(analytics.medianMsats)}</dd>
+          <dt>Largest zapper</dt>
+          <dd>${this.#createZapperHTML(analytics.largestZapper)}</dd>
+          <dt>Top ${TOP_SUPPORTERS} share</dt>
+          <dd>${analytics.msats ? `${Math.round(analytics.topShare * 100)}%` : "-"}</dd>
+        </dl>
+        <div class="zap-analytics-footer">
+          <span>${this.#createSourceText(analytics)}</span>
+          ${this.#createBackfillHTML(analytics)}
+        </div>
+      </details>
+    `;
+  }
+
+  #createZapperHTML(zapper) {
+    if (!zapper) return "-";
+
+    const profile = cacheManager.getProfile(zapper.pubkey);
+    const name = profile ? getProfileDisplayName(profile) : formatIdentifier(encodeNpub(zapper.pubkey));
+    return `${escapeHTML(name)} <span class="zap-analytics-note">${this.#formatSats(zapper.msats)} · ${
+      formatNumber(zapper.count)
+    } zaps</span>`;
+  }
+
+  #createSourceText(analytics) {
+    const source = analytics.source === "backfill" ? "fetched" : "loaded";
+    return `Based on ${formatNumber(analytics.count)} ${source} zaps`;
+  }
+
+  // すべてのZapを読み込んでいない場合は、バックフィルして集計し直せるようにする
+  #createBackfillHTML(analytics) {
+    if (analytics.isComplete) return "";
+    if (zapAnalytics.isBackfilling(this.viewId)) {
+      return '<button type="button" class="zap-analytics-backfill" disabled>Fetching...</button>';
+    }
+    return '<button type="button" class="zap-analytics-backfill">Fetch all</button>';
+  }
+
+  #formatSats(msats) {
+    return `${formatNumber(Math.floor(msats / 1000))} sats`;
+  }
+
+  // 最大の送信者のプロフィールが未取得なら取得して名前を表示し直す
+  #loadZapperProfile(pubkey) {
+    if (!pubkey || cacheManager.getProfile(pubkey)) return;
+
+    profilePool.fetchProfiles([pubkey])
+      .then(() => {
+        if (cacheManager.getProfile(pubkey)) this.render();
+      })
+      .catch(error => console.debug("Failed to load zapper profile:", error));
+  }
+}
@@ -0,0 +1,351 @@
+import { APP_CONFIG } from "../AppSettings.js";
+import { cacheManager } from "../CacheManager.js";
+import { profilePool } from "../ProfilePool.js";
+import { eventPool } from "../EventPool.js";
+import { escapeHTML, escapeAttribute, getProfileDisplayName, sanitizeUrl, formatNumber } from "../utils.js";
+import { EmojiRenderer } from "./EmojiRenderer.js";
+
+// URL・ライトニングインボイス・ハッシュタグ
+const RICH_TEXT_REGEX =
+  /(https?:\/\/[^\s<>"]+)|(?<![\w/])(?:lightning:)?(ln(?:bcrt|bc|tbs|tb)\d*[a-z]?1[02-9ac-hj-np-z]+)|(?<![\w&#/])#([\p{L}\p{N}_]+)/giu;
+// URL末尾の句読点はリンクに含めない
+const TRAILING_PUNCTUATION_REGEX = /[.,;:!?)\]}'"]+$/;
+
+/**
+ * @typedef {Object} CommentToken
+ * @property {"text"|"profile"|"event"|"url"|"invoice"|"hashtag"} type
+ * @property {string} value 元のテキスト（nostr: URIの場合はbech32部分）
+ * @property {string} [pubkey] profileトークンの対象pubkey
+ * @property {string} [referenceKey] eventトークンのタグ値（イベントIDまたはkind:pubkey:d）
+ * @property {"e"|"a"} [referenceType]
+ * @property {string} [url] urlトークンの許可済みURL
+ * @property {"image"|"video"|null} [mediaType]
+ * @property {number|null} [amountSats] invoiceトークンの金額
+ */
+
+/**
+ * @typedef {Object} CommentRenderOptions
+ * @property {Object<string, string>} [emojis] NIP-30 カスタム絵文字
+ * @property {boolean} [mediaPreview] 画像・動画URLをクリックで読み込むプレビューにするか
+ */
+
+/**
+ * Zapコメントを安全にレンダリングする
+ * NIP-27参照（nostr: URI）、URL、ライトニングインボイス、ハッシュタグを認識し、
+ * テキスト部分はすべてescapeHTMLを通し、参照部分の表示名はtextContentで差し替える
+ */
+export class CommentRenderer {
+  /**
+   * @param {string} text
+   * @returns {CommentToken[]}
+   */
+  static tokenize(text) {
+    if (!text || typeof text !== "string") return [];
+
+    const tokens = [];
+    let lastIndex = 0;
+
+    for (const match of window.NostrTools.nip27.matchAll(text)) {
+      const token = CommentRenderer.#createReferenceToken(match);
+      if (!token) continue;
+
+      if (match.start > lastIndex) {
+        tokens.push(...CommentRenderer.#tokenizeText(text.slice(lastIndex, match.start)));
+      }
+      tokens.push(token);
+      lastIndex = match.end;
+    }
+
+    if (lastIndex < text.length) {
+      tokens.push(...CommentRenderer.#tokenizeText(text.slice(lastIndex)));
+    }
+    return tokens;
+  }
+
+  static #tokenizeText(text) {
+    const tokens = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(RICH_TEXT_REGEX)) {
+      const [matched, url, invoice, hashtag] = match;
+      let end = match.index + matched.length;
+      let token = null;
+
+      if (url) {
+        const trimmed = url.replace(TRAILING_PUNCTUATION_REGEX, "");
+        end = match.index + trimmed.length;
+        token = CommentRenderer.#createUrlToken(trimmed);
+      } else if (invoice) {
+        token = CommentRenderer.#createInvoiceToken(matched, invoice);
+      } else if (hashtag) {
+        token = { type: "hashtag", value: matched, tag: hashtag };
+      }
+      if (!token) continue;
+
+      if (match.index > lastIndex) {
+        tokens.push({ type: "text", value: text.slice(lastIndex, match.index) });
+      }
+      tokens.push(token);
+      lastIndex = end;
+    }
+
+    if (lastIndex < text.length) {
+      tokens.push({ type: "text", value: text.slice(lastIndex) });
+    }
+    return tokens;
+  }
+
+  static #createUrlToken(value) {
+    const url = sanitizeUrl(value);
+    if (!url) return null;
+
+    const { IMAGE_EXTENSIONS, VIDEO_EXTENSIONS } = APP_CONFIG.COMMENT_CONFIG;
+    const extension = new URL(url).pathname.split(".").pop().toLowerCase();
+    const mediaType = IMAGE_EXTENSIONS.includes(extension)
+      ? "image"
+      : VIDEO_EXTENSIONS.includes(extension) ? "video" : null;
+
+    return { type: "url", value, url, mediaType };
+  }
+
+  static #createInvoiceToken(value, invoice) {
+    try {
+      const decoded = window.decodeBolt11(invoice.toLowerCase());
+      const amount = decoded.sections.find((section) => section.name === "amount")?.value;
+      return {
+        type: "invoice",
+        value,
+        invoice: invoice.toLowerCase(),
+        amountSats: amount ? Math.floor(parseInt(amount, 10) / 1000) : null,
+      };
+    } catch {
+      // デコードできない文字列はテキストとして扱う
+      return null;
+    }
+  }
+
+  /**
+   * コメントをHTML文字列に変換（キャッシュ済みの名前・タイトルは即座に反映）
+   * @param {string} text
+   * @param {CommentRenderOptions} [options]
+   * @returns {string}
+   */
+  static render(text, { emojis = {}, mediaPreview = APP_CONFIG.COMMENT_CONFIG.DEFAULT_MEDIA_PREVIEW } = {}) {
+    return CommentRenderer.tokenize(text)
+      .map((token) => {
+        switch (token.type) {
+          case "profile":
+            return CommentRenderer.#renderProfileMention(token);
+          case "event":
+            return CommentRenderer.#renderEventMention(token);
+          case "url":
+            return mediaPreview && token.mediaType
+              ? CommentRenderer.#renderMediaPreview(token)
+              : CommentRenderer.#renderLink(token);
+          case "invoice":
+            return CommentRenderer.#renderInvoice(token);
+          case "hashtag":
+            return CommentRenderer.#renderHashtag(token);
+          default:
+            return EmojiRenderer.renderHTML(token.value, emojis);
+        }
+      })
+      .join("");
+  }
+
+  /**
+   * 要素内の未解決の参照を取得して表示を更新
+   * @param {HTMLElement} element
+   */
+  async hydrate(element) {
+    const comment = element?.querySelector(".zap-comment");
+    if (!comment) return;
+
+    EmojiRenderer.attachFallbacks(comment);
+    comment.querySelectorAll(".zap-media-preview").forEach((button) => {
+      button.addEventListener("click", () => CommentRenderer.#loadMedia(button), { once: true });
+    });
+    await Promise.allSettled([
+      this.#hydrateProfiles(comment),
+      this.#hydrateEvents(comment),
+    ]);
+  }
+
+  async #hydrateProfiles(comment) {
+    const mentions = Array.from(
+      comment.querySelectorAll(".zap-mention-profile:not(.is-resolved)")
+    );
+    if (!mentions.length) return;
+
+    const pubkeys = [...new Set(mentions.map((el) => el.dataset.mentionPubkey))];
+    const profiles = await profilePool.fetchProfiles(pubkeys);
+
+    pubkeys.forEach((pubkey, i) => {
+      if (!profiles[i]) return;
+      mentions
+        .filter((el) => el.dataset.mentionPubkey === pubkey)
+        .forEach((el) => {
+          el.textContent = `@${getProfileDisplayName(profiles[i])}`;
+          el.classList.add("is-resolved");
+        });
+    });
+  }
+
+  async #hydrateEvents(comment) {
+    const mentions = comment.querySelectorAll(".zap-mention-event:not(.is-resolved)");
+
+    await Promise.allSettled(
+      Array.from(mentions).map(async (el) => {
+        const { mentionRef, mentionType } = el.dataset;
+        const reference = await eventPool.fetchReference(mentionRef, mentionType);
+        const title = CommentRenderer.getEventTitle(reference);
+        if (!title) return;
+
+        el.textContent = title;
+        el.classList.add("is-resolved");
+      })
+    );
+  }
+
+  /**
+   * 参照イベントの短いタイトルを取得（title/nameタグ、なければ本文の1行目）
+   * @param {Object|null} event
+   * @returns {string}
+   */
+  static getEventTitle(event) {
+    if (!event) return "";
+
+    const titleTag = Array.isArray(event.tags)
+      ? event.tags.find((tag) => Array.isArray(tag) && (tag[0] === "title" || tag[0] === "name"))
+      : null;
+    const text = (titleTag?.[1] || event.content || "").trim().split("\n")[0];
+
+    const maxLength = APP_CONFIG.COMMENT_CONFIG.MENTION_TITLE_LENGTH;
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+  }
+
+  static #createReferenceToken({ value, decoded }) {
+    switch (decoded.type) {
+      case "npub":
+        return { type: "profile", value, pubkey: decoded.data };
+      case "nprofile":
+        return { type: "profile", value, pubkey: decoded.data.pubkey };
+      case "note":
+        return { type: "event", value, referenceKey: decoded.data, referenceType: "e" };
+      case "nevent":
+        return { type: "event", value, referenceKey: decoded.data.id, referenceType: "e" };
+      case "naddr": {
+        const { kind, pubkey, identifier } = decoded.data;
+        return {
+          type: "event",
+          value,
+          referenceKey: `${kind}:${pubkey}:${identifier}`,
+          referenceType: "a",
+        };
+      }
+      default:
+        // nsecなどは参照として扱わずテキストのまま表示
+        return null;
+    }
+  }
+
+  static #renderProfileMention({ value, pubkey }) {
+    const profile = cacheManager.getProfile(pubkey);
+    const label = profile
+      ? `@${getProfileDisplayName(profile)}`
+      : `@${CommentRenderer.#shorten(value)}`;
+
+    return `<a class="zap-mention zap-mention-profile${profile ? " is-resolved" : ""}" ` +
+      `href="https://njump.me/${escapeAttribute(value)}" target="_blank" rel="noopener noreferrer" ` +
+      `data-mention-pubkey="${escapeAttribute(pubkey)}">${escapeHTML(label)}</a>`;
+  }
+
+  static #renderEventMention({ value, referenceKey, referenceType }) {
+    const title = CommentRenderer.getEventTitle(cacheManager.getReference(referenceKey));
+    const label = title || CommentRenderer.#shorten(value);
+
+    return `<a class="zap-mention zap-mention-event${title ? " is-resolved" : ""}" ` +
+      `href="https://njump.me/${escapeAttribute(value)}" target="_blank" rel="noopener noreferrer" ` +
+      `data-mention-ref="${escapeAttribute(referenceKey)}" data-mention-type="${referenceType}">` +
+      `${escapeHTML(label)}</a>`;
+  }
+
+  static #renderLink({ url }) {
+    const maxLength = APP_CONFIG.COMMENT_CONFIG.LINK_DISPLAY_LENGTH;
+    const label = url.replace(/^https?:\/\//, "");
+    const displayText = label.length > maxLength ? `${label.slice(0, maxLength)}…` : label;
+
+    return `<a class="zap-comment-link" href="${escapeAttribute(url)}" ` +
+      `target="_blank" rel="noopener noreferrer nofollow">${escapeHTML(displayText)}</a>`;
+  }
+
+  static #renderMediaPreview({ url, mediaType }) {
+    const label = `${mediaType === "video" ? "▶ Load video" : "🖼 Load image"} (${new URL(url).hostname})`;
+
+    return `<button type="button" class="zap-media-preview" ` +
+      `data-media-type="${mediaType}" data-media-url="${escapeAttribute(url)}">` +
+      `${escapeHTML(label)}</button>`;
+  }
+
+  static #renderInvoice({ invoice, amountSats }) {
+    const amountText = amountSats ? ` (${formatNumber(amountSats)} sats)` : "";
+
+    return `<a class="zap-comment-invoice" href="lightning:${escapeAttribute(invoice)}" ` +
+      `title="${escapeAttribute(invoice)}">` +
+      `⚡ ${escapeHTML(CommentRenderer.#shorten(invoice))}${escapeHTML(amountText)}</a>`;
+  }
+
+  static #renderHashtag({ value, tag }) {
+    const href = APP_CONFIG.COMMENT_CONFIG.HASHTAG_URL.replace("{tag}", encodeURIComponent(tag));
+    const url = sanitizeUrl(href);
+    if (!url) return escapeHTML(value);
+
+    return `<a class="zap-hashtag" href="${escapeAttribute(url)}" ` +
+      `target="_blank" rel="noopener noreferrer nofollow">${escapeHTML(value)}</a>`;
+  }
+
+  // クリックされたプレビューボタンをサムネイルに置き換える（読み込み失敗時はリンク）
+  static #loadMedia(button) {
+    const url = sanitizeUrl(button.dataset.mediaUrl);
+    if (!url) return;
+
+    const link = Object.assign(document.createElement("a"), {
+      className: "zap-comment-link",
+      href: url,
+      target: "_blank",
+      rel: "noopener noreferrer nofollow",
+    });
+    const media = button.dataset.mediaType === "video"
+      ? Object.assign(document.createElement("video"), {
+          className: "zap-media-thumbnail",
+          src: url,
+          controls: true,
+          preload: "metadata",
+          playsInline: true,
+        })
+      : Object.assign(document.createElement("img"), {
+          className: "zap-media-thumbnail",
+          src: url,
+          alt: "",
+        });
+
+    media.addEventListener("error", () => {
+      // 画像の場合はlink内のmediaがここで取り除かれる
+      link.textContent = url.replace(/^https?:\/\//, "");
+      if (media.isConnected) media.replaceWith(link);
+    }, { once: true });
+
+    if (button.dataset.mediaType === "video") {
+      button.replaceWith(media);
+    } else {
+      link.appendChild(media);
+      button.replaceWith(link);
+    }
+  }
+
+  static #shorten(value) {
+    return `${value.slice(0, 10)}…${value.slice(-4)}`;
+  }
+}
+
+export const commentRenderer = new CommentRenderer();
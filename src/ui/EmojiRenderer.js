@@ -0,0 +1,89 @@
+import { escapeHTML, escapeAttribute } from "../utils.js";
+
+const SHORTCODE_REGEX = /:([a-zA-Z0-9_]+):/g;
+
+/**
+ * NIP-30 カスタム絵文字（`:shortcode:`）のレンダリング
+ * emojisはextractEmojiTagsで作成したマップ（URLはsanitizeImageUrl済み）
+ */
+export class EmojiRenderer {
+  /**
+   * テキストをHTML文字列に変換（テキスト部分はescapeHTML済み）
+   * @param {string} text
+   * @param {Object<string, string>} emojis
+   * @returns {string}
+   */
+  static renderHTML(text, emojis) {
+    return EmojiRenderer.#split(text, emojis)
+      .map((part) => part.url
+        ? `<img class="custom-emoji" src="${escapeAttribute(part.url)}" ` +
+          `alt=":${part.shortcode}:" title=":${part.shortcode}:" loading="lazy" />`
+        : escapeHTML(part.text))
+      .join("");
+  }
+
+  /**
+   * テキストをDOMノードに変換
+   * @param {string} text
+   * @param {Object<string, string>} emojis
+   * @returns {DocumentFragment}
+   */
+  static createFragment(text, emojis) {
+    const fragment = document.createDocumentFragment();
+    EmojiRenderer.#split(text, emojis).forEach((part) => {
+      fragment.appendChild(part.url
+        ? EmojiRenderer.#withFallback(Object.assign(document.createElement("img"), {
+            className: "custom-emoji",
+            src: part.url,
+            alt: `:${part.shortcode}:`,
+            title: `:${part.shortcode}:`,
+            loading: "lazy",
+          }))
+        : document.createTextNode(part.text));
+    });
+    return fragment;
+  }
+
+  /**
+   * HTML文字列から生成した絵文字に、読み込み失敗時のテキスト表示を設定
+   * @param {HTMLElement} element
+   */
+  static attachFallbacks(element) {
+    element?.querySelectorAll("img.custom-emoji:not([data-fallback])")
+      .forEach((img) => EmojiRenderer.#withFallback(img));
+  }
+
+  static #withFallback(img) {
+    img.setAttribute("data-fallback", "true");
+    const fallback = () => img.replaceWith(document.createTextNode(img.alt));
+    if (img.complete && img.src && img.naturalWidth === 0) {
+      fallback();
+    } else {
+      img.addEventListener("error", fallback, { once: true });
+    }
+    return img;
+  }
+
+  static #split(text, emojis) {
+    if (!text || typeof text !== "string") return [];
+    if (!emojis || !Object.keys(emojis).length) return [{ text }];
+
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(SHORTCODE_REGEX)) {
+      // extractEmojiTags以外で作成されたマップにも備え、継承したプロパティは使わない
+      const url = Object.hasOwn(emojis, match[1]) ? emojis[match[1]] : null;
+      if (typeof url !== "string" || !url) continue;
+
+      if (match.index > lastIndex) {
+        parts.push({ text: text.slice(lastIndex, match.index) });
+      }
+      parts.push({ shortcode: match[1], url });
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+      parts.push({ text: text.slice(lastIndex) });
+    }
+    return parts;
+  }
+}
@@ -0,0 +1,225 @@
+import { zapLeaderboard } from "../ZapLeaderboard.js";
+import { zapAnalytics } from "../ZapAnalytics.js";
+import { profilePool } from "../ProfilePool.js";
+import { cacheManager } from "../CacheManager.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import {
+  escapeHTML,
+  escapeAttribute,
+  formatNumber,
+  formatIdentifier,
+  encodeNpub,
+  encodeNprofile,
+  getProfileDisplayName,
+  sanitizeImageUrl,
+} from "../utils.js";
+import defaultIcon from "../assets/nostr-icon.svg";
+
+/**
+ * ダイアログのタブ（Zaps / Leaderboard）と、送信者ごとのランキングの表示
+ * ランキングはタブを開いている間だけ取得・描画する
+ */
+export class LeaderboardUI {
+  #unsubscribes = [];
+  #frameId = null;
+  #isActive = false;
+  #sortBy = "sats";
+  #displayCount = APP_CONFIG.LEADERBOARD_CONFIG.DISPLAY_COUNT;
+  #requestedProfiles = new Set();
+
+  /**
+   * @param {ShadowRoot} rootElement
+   * @param {string} viewId
+   * @param {function(): ViewerConfig} getConfig
+   * @param {function(): boolean} isFullyLoaded 一覧にすべてのZapを読み込み済みか
+   * @param {function(): Promise<function(Object): boolean>} getDisplayFilter 一覧と同じ絞り込みの述語
+   */
+  constructor(rootElement, viewId, getConfig, isFullyLoaded, getDisplayFilter) {
+    this.root = rootElement;
+    this.viewId = viewId;
+    this.getConfig = getConfig;
+    this.isFullyLoaded = isFullyLoaded;
+    this.getDisplayFilter = getDisplayFilter;
+
+    // 遡って取得したページと、一覧に追加されたZap（ライブのZapを含む）の両方で描画し直す
+    const onChange = (changedViewId) => {
+      if (changedViewId === this.viewId) this.render();
+    };
+    this.#unsubscribes = [zapLeaderboard.onChange(onChange), zapAnalytics.onChange(onChange)];
+
+    this.root?.querySelector(".dialog-tabs")?.addEventListener("click", (e) => {
+      const tab = e.target.closest("[data-tab]")?.dataset.tab;
+      if (tab) this.#selectTab(tab);
+    });
+
+    const container = this.root?.querySelector(".leaderboard");
+    container?.addEventListener("click", (e) => this.#handleClick(e));
+    // プロフィール画像を読み込めない場合はデフォルトのアイコンにする（errorはバブリングしない）
+    container?.addEventListener("error", (e) => {
+      if (!e.target.matches?.(".leaderboard-icon") || e.target.dataset.fallback) return;
+      e.target.dataset.fallback = "true";
+      e.target.src = defaultIcon;
+    }, true);
+  }
+
+  render() {
+    if (!this.#isActive || this.#frameId !== null) return;
+
+    this.#frameId = requestAnimationFrame(() => {
+      this.#frameId = null;
+      const container = this.root?.querySelector(".leaderboard");
+      if (!container || !this.#isActive) return;
+
+      const ranking = zapLeaderboard.getRanking(
+        this.viewId,
+        this.getConfig()?.validationPolicy,
+        this.#sortBy,
+        this.isFullyLoaded()
+      );
+      const visible = ranking.entries.slice(0, this.#displayCount);
+      container.innerHTML = this.#createLeaderboardHTML(ranking, visible);
+      this.#loadProfiles(visible);
+    });
+  }
+
+  destroy() {
+    this.#unsubscribes.forEach(unsubscribe => unsubscribe());
+    this.#unsubscribes = [];
+    zapLeaderboard.pause(this.viewId);
+    if (this.#frameId !== null) {
+      cancelAnimationFrame(this.#frameId);
+      this.#frameId = null;
+    }
+  }
+
+  #selectTab(tab) {
+    const isLeaderboard = tab === "leaderboard";
+    if (isLeaderboard === this.#isActive) return;
+
+    this.#isActive = isLeaderboard;
+    this.root.querySelector(".dialog")?.setAttribute("data-tab", tab);
+    this.root.querySelectorAll(".dialog-tab").forEach(button => {
+      const isSelected = button.dataset.tab === tab;
+      button.classList.toggle("is-active", isSelected);
+      button.setAttribute("aria-selected", String(isSelected));
+    });
+
+    if (isLeaderboard) {
+      const config = this.getConfig();
+      if (config) zapLeaderboard.load(this.viewId, config, this.getDisplayFilter);
+      this.render();
+    } else {
+      zapLeaderboard.pause(this.viewId);
+    }
+  }
+
+  #handleClick(e) {
+    const sortButton = e.target.closest("[data-sort]");
+    if (sortButton) {
+      this.#sortBy = sortButton.dataset.sort;
+      this.render();
+      return;
+    }
+
+    if (e.target.closest(".leaderboard-more")) {
+      this.#displayCount += APP_CONFIG.LEADERBOARD_CONFIG.DISPLAY_COUNT;
+      this.render();
+    }
+  }
+
+  #createLeaderboardHTML(ranking, visible) {
+    const sortButton = (sort, label) => `
+      <button type="button" class="leaderboard-sort-button${this.#sortBy === sort ? " is-active" : ""}" data-sort="${sort}">${label}</button>
+    `;
+    const items = visible.length
+      ? `<ol class="leaderboard-list">${visible.map((entry, index) => this.#createEntryHTML(entry, index + 1)).join("")}</ol>`
+      : `<div class="leaderboard-empty">${ranking.isLoading ? "Loading..." : "No zaps yet"}</div>`;
+    const more = ranking.entries.length > visible.length
+      ? '<button type="button" class="leaderboard-more">Show more</button>'
+      : "";
+
+    return `
+      <div class="leaderboard-header">
+        <div class="leaderboard-sort">
+          ${sortButton("sats", "By sats")}
+          ${sortButton("count", "By zaps")}
+        </div>
+        <span class="leaderboard-status">${this.#createStatusText(ranking)}</span>
+      </div>
+      ${items}
+      ${more}
+    `;
+  }
+
+  #createStatusText(ranking) {
+    const base = `${formatNumber(ranking.entries.length)} zappers · ${formatNumber(ranking.eventCount)} zaps`;
+    if (ranking.isComplete) return base;
+    if (ranking.isLoading) return `${base} · loading...`;
+    return `${base}${ranking.isLimitReached ? " · limit reached" : " · partial"}`;
+  }
+
+  #createEntryHTML(entry, rank) {
+    const amount = `
+      <div class="leaderboard-amount">
+        <span class="number">${formatNumber(Math.floor(entry.msats / 1000))}</span> sats
+        <div class="leaderboard-count">${formatNumber(entry.count)} zaps</div>
+      </div>
+    `;
+
+    if (entry.isAnonymous) {
+      return `
+        <li class="leaderboard-item is-anonymous">
+          <span class="leaderboard-rank">${rank}</span>
+          <img class="leaderboard-icon" src="${defaultIcon}" alt="" loading="lazy">
+          <div class="leaderboard-sender">
+            <span class="sender-name">Anonymous</span>
+            <span class="sender-pubkey">anonymous and private zaps</span>
+          </div>
+          ${amount}
+        </li>
+      `;
+    }
+
+    const profile = cacheManager.getProfile(entry.pubkey);
+    const npub = encodeNpub(entry.pubkey);
+    const name = profile ? getProfileDisplayName(profile) : formatIdentifier(npub);
+    const nip05 = profilePool.getNip05(entry.pubkey);
+    const picture = sanitizeImageUrl(profile?.picture) ||
+      `https://robohash.org/${entry.pubkey}.png?set=set5&bgset=bg2&size=128x128`;
+
+    return `
+      <li class="leaderboard-item" data-pubkey="${escapeAttribute(entry.pubkey)}">
+        <span class="leaderboard-rank">${rank}</span>
+        <img class="leaderboard-icon" src="${escapeAttribute(picture)}" alt="" loading="lazy">
+        <div class="leaderboard-sender">
+          <a class="sender-name" href="https://njump.me/${escapeAttribute(encodeNprofile(entry.pubkey) || npub)}" target="_blank" rel="noopener noreferrer">${escapeHTML(name)}</a>
+          <span class="sender-pubkey">${escapeHTML(nip05 || formatIdentifier(npub))}</span>
+        </div>
+        ${amount}
+      </li>
+    `;
+  }
+
+  // 表示中の送信者のプロフィールとNIP-05を一度だけ取得し、取得できたら描画し直す
+  #loadProfiles(entries) {
+    const pubkeys = entries
+      .map(entry => entry.pubkey)
+      .filter(pubkey => pubkey && !this.#requestedProfiles.has(pubkey));
+    if (!pubkeys.length) return;
+
+    pubkeys.forEach(pubkey => this.#requestedProfiles.add(pubkey));
+    const missing = pubkeys.filter(pubkey => !cacheManager.getProfile(pubkey));
+    if (missing.length) {
+      profilePool.fetchProfiles(missing)
+        .then(() => this.render())
+        .catch(error => console.debug("Failed to load leaderboard profiles:", error));
+    }
+    pubkeys.forEach(pubkey => {
+      profilePool.verifyNip05Async(pubkey)
+        .then(nip05 => {
+          if (nip05) this.render();
+        })
+        .catch(error => console.debug("NIP-05 verification failed:", error));
+    });
+  }
+}
@@ -6,6 +6,7 @@ import {
   encodeNprofile,
 } from "../utils.js";
 import { cacheManager } from "../CacheManager.js";
+import { EmojiRenderer } from "./EmojiRenderer.js";
 import defaultIcon from "../assets/nostr-icon.svg";
 
 export class ProfileUI {
@@ -28,7 +29,7 @@ export class ProfileUI {
         ? sanitizeImageUrl(profile.picture)
         : null;
 
-      this.#updateName(nameContainer, nameElement, senderName);
+      this.#updateName(nameContainer, nameElement, senderName, profile?._emojis);
       this.#updateIcon(skeleton, iconContainer, senderIcon, senderName);
       this.#updateNip05(pubkeyElement, pubkey);
     } catch (error) {
@@ -37,16 +38,31 @@ export class ProfileUI {
     }
   }
 
-  #updateName(nameContainer, nameElement, senderName) {
+  /**
+   * 復号したプライベートZapの送信者プロフィールを取得して表示
+   * @param {HTMLElement} element Zapリスト要素
+   * @param {string} pubkey 復号で判明した送信者のpubkey
+   */
+  async revealSender(element, pubkey) {
+    if (!element || !pubkey) return;
+
+    try {
+      await profilePool.fetchProfiles([pubkey]);
+    } catch (error) {
+      console.debug("Failed to fetch revealed sender profile:", error);
+    }
+    await this.loadAndUpdate(pubkey, element);
+  }
+
+  #updateName(nameContainer, nameElement, senderName, emojis) {
     if (nameContainer) {
-      nameContainer.replaceWith(
-        Object.assign(document.createElement("span"), {
-          className: "sender-name",
-          textContent: senderName,
-        })
-      );
+      const span = Object.assign(document.createElement("span"), {
+        className: "sender-name",
+      });
+      span.appendChild(EmojiRenderer.createFragment(senderName, emojis));
+      nameContainer.replaceWith(span);
     } else if (nameElement) {
-      nameElement.textContent = senderName;
+      nameElement.replaceChildren(EmojiRenderer.createFragment(senderName, emojis));
     }
   }
 
@@ -204,7 +220,10 @@ export class ProfileUI {
     // 名前要素の更新
     const nameElement = element.querySelector('.sender-name, .zap-placeholder-name');
     if (nameElement) {
-      nameElement.textContent = profile.display_name || profile.name || 'anonymous';
+      nameElement.replaceChildren(EmojiRenderer.createFragment(
+        profile.display_name || profile.name || 'anonymous',
+        profile._emojis
+      ));
       nameElement.className = 'sender-name';
     }
 
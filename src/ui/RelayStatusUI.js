@@ -0,0 +1,102 @@
+import { relayHealthMonitor } from "../RelayHealthMonitor.js";
+import { cacheManager } from "../CacheManager.js";
+import { escapeHTML } from "../utils.js";
+
+/**
+ * ダイアログ内のリレー接続状況と、取得したZapを各リレーが保持していた割合（カバレッジ）の表示
+ */
+export class RelayStatusUI {
+  #unsubscribe;
+  #frameId = null;
+  #isOpen = false;
+
+  /**
+   * @param {ShadowRoot} rootElement
+   * @param {string} viewId
+   * @param {function(): string[]} getRelayUrls 表示対象のリレー（ビューの購読先）
+   */
+  constructor(rootElement, viewId, getRelayUrls) {
+    this.root = rootElement;
+    this.viewId = viewId;
+    this.getRelayUrls = getRelayUrls;
+    this.#unsubscribe = relayHealthMonitor.onChange(() => this.render());
+    // 開いたときにカバレッジを最新の状態にする（toggleはバブリングしない）
+    // 再描画で生成したdetailsもtoggleを発火するため、開閉状態が変わった場合のみ描画する
+    this.root?.querySelector(".relay-status")?.addEventListener("toggle", (e) => {
+      if (e.target.open === this.#isOpen) return;
+      this.#isOpen = e.target.open;
+      if (this.#isOpen) this.render();
+    }, true);
+    this.render();
+  }
+
+  render() {
+    if (this.#frameId !== null) return;
+
+    this.#frameId = requestAnimationFrame(() => {
+      this.#frameId = null;
+      const container = this.root?.querySelector(".relay-status");
+      if (!container) return;
+
+      const relayUrls = this.getRelayUrls() || [];
+      const report = relayHealthMonitor.getHealthReport(relayUrls);
+      if (!report.length) {
+        container.innerHTML = "";
+        return;
+      }
+
+      const coverage = new Map(
+        cacheManager.getRelayCoverage(this.viewId, report.map(relay => relay.url))
+          .map(item => [item.url, item])
+      );
+      container.innerHTML = this.#createStatusHTML(report, coverage, this.#isOpen);
+    });
+  }
+
+  destroy() {
+    this.#unsubscribe?.();
+    if (this.#frameId !== null) {
+      cancelAnimationFrame(this.#frameId);
+      this.#frameId = null;
+    }
+  }
+
+  #createStatusHTML(report, coverage, isOpen) {
+    const connected = report.filter(relay => relay.status === "connected").length;
+    const failed = report.filter(relay => relay.status === "failed").length;
+    const summaryStatus = connected === 0 && failed > 0
+      ? "failed"
+      : failed > 0 ? "partial" : connected > 0 ? "connected" : "connecting";
+
+    return `
+      <details${isOpen ? " open" : ""}>
+        <summary>
+          <span class="relay-status-dot is-${summaryStatus}"></span>
+          ${connected}/${report.length} relays${failed ? ` · ${failed} failed` : ""}
+        </summary>
+        <ul class="relay-status-list">
+          ${report.map(relay => this.#createRelayItemHTML(relay, coverage.get(relay.url))).join("")}
+        </ul>
+      </details>
+    `;
+  }
+
+  #createRelayItemHTML(relay, coverage) {
+    const details = [];
+    if (coverage?.total) details.push(`${coverage.count}/${coverage.total} zaps`);
+    if (relay.averageLatency !== null) details.push(`${relay.averageLatency} ms`);
+    if (!relay.isAvailable) details.push("cooling down");
+
+    const lastMessage = relay.messages[relay.messages.length - 1];
+    const title = relay.lastError || lastMessage?.message || "";
+    const host = relay.url.replace(/^wss?:\/\//, "");
+
+    return `
+      <li class="relay-status-item" title="${escapeHTML(title).replace(/"/g, "&quot;")}">
+        <span class="relay-status-dot is-${relay.status}"></span>
+        <span class="relay-status-url">${escapeHTML(host)}</span>
+        <span class="relay-status-meta">${escapeHTML(details.join(" · "))}</span>
+      </li>
+    `;
+  }
+}
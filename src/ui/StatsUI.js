@@ -1,4 +1,4 @@
-import { formatNumber } from "../utils.js";
+import { formatNumber, escapeHTML } from "../utils.js";
 
 export class statsUI {
   constructor(rootElement) {
@@ -50,7 +50,7 @@ export class statsUI {
   createTimeoutStats() {
     return `
       <div class="stats-item">Total Count</div>
-      <div class="stats-item"><span class="number text-muted">nostr.band</span></div>
+      <div class="stats-item"><span class="number text-muted">Zap</span></div>
       <div class="stats-item">times</div>
       <div class="stats-item">Total Amount</div>
       <div class="stats-item"><span class="number text-muted">Stats</span></div>
@@ -66,18 +66,34 @@ export class statsUI {
       <div class="stats-item">Total Count</div>
       <div class="stats-item"><span class="number">${formatNumber(
         stats.count
-      )}</span></div>
+      )}${stats.isPartial ? "+" : ""}</span></div>
       <div class="stats-item">times</div>
       <div class="stats-item">Total Amount</div>
-      <div class="stats-item"><span class="number">${formatNumber(
-        Math.floor(stats.msats / 1000)
-      )}</span></div>
+      <div class="stats-item">${this.#createAmountHTML(stats, stats.msats)}</div>
       <div class="stats-item">sats</div>
       <div class="stats-item">Max Amount</div>
-      <div class="stats-item"><span class="number">${formatNumber(
-        Math.floor(stats.maxMsats / 1000)
-      )}</span></div>
+      <div class="stats-item">${this.#createAmountHTML(stats, stats.maxMsats)}</div>
       <div class="stats-item">sats</div>
+      ${this.#createSourceHTML(stats)}
     `;
   }
+
+  // COUNTなど金額を取得できないプロバイダーの場合は不明と表示する
+  #createAmountHTML(stats, msats) {
+    if (stats.isAmountUnknown) {
+      return '<span class="number text-muted" title="Amounts are not available from this source">?</span>';
+    }
+    return `<span class="number">${formatNumber(Math.floor(msats / 1000))}</span>`;
+  }
+
+  // 統計を返したプロバイダー
+  #createSourceHTML(stats) {
+    if (!stats.providerLabel) return "";
+
+    const detail = stats.detail ? ` · ${escapeHTML(stats.detail)}` : "";
+    const title = stats.detailTitle
+      ? ` title="${escapeHTML(stats.detailTitle).replace(/"/g, "&quot;")}"`
+      : "";
+    return `<div class="stats-source"${title}>via ${escapeHTML(stats.providerLabel)}${detail}</div>`;
+  }
 }
@@ -0,0 +1,87 @@
+import { ViewerConfig } from "../AppSettings.js";
+
+/**
+ * ダイアログ内の期間選択（data-range-picker="true"の場合のみ表示）
+ * 日付はUTCとして扱い、終了日はその日の終わりまでを含める
+ */
+export class TimeRangeUI {
+  #removeListeners = null;
+
+  /**
+   * @param {ShadowRoot} rootElement
+   * @param {ViewerConfig} config
+   * @param {function({since: number|null, until: number|null}): void} onChange
+   */
+  constructor(rootElement, config, onChange) {
+    this.root = rootElement;
+    this.config = config;
+    this.onChange = onChange;
+    this.render();
+  }
+
+  render() {
+    const container = this.root?.querySelector(".time-range");
+    if (!container) return;
+
+    this.#removeListeners?.();
+    container.hidden = !this.config.rangePicker;
+    if (!this.config.rangePicker) {
+      container.innerHTML = "";
+      return;
+    }
+
+    const { since, until } = this.config.timeRange;
+    container.innerHTML = `
+      <form class="time-range-form">
+        <label>From <input type="date" name="since" value="${this.#toDateValue(since)}"></label>
+        <label>To <input type="date" name="until" value="${this.#toDateValue(until)}"></label>
+        <button type="submit" class="time-range-apply">Apply</button>
+        <button type="button" class="time-range-clear"${this.config.hasTimeRange ? "" : " disabled"}>All time</button>
+      </form>
+    `;
+
+    const form = container.querySelector(".time-range-form");
+    const clearButton = container.querySelector(".time-range-clear");
+
+    const onSubmit = (e) => {
+      e.preventDefault();
+      const since = ViewerConfig.parseTimestamp(form.elements.since.value);
+      const until = ViewerConfig.parseTimestamp(form.elements.until.value, true);
+      if (since !== null && until !== null && since > until) {
+        form.elements.until.setCustomValidity("The end date must be after the start date");
+        form.reportValidity();
+        return;
+      }
+      this.#apply({ since, until });
+    };
+    const onInput = () => form.elements.until.setCustomValidity("");
+    const onClear = () => this.#apply({ since: null, until: null });
+
+    form.addEventListener("submit", onSubmit);
+    form.addEventListener("input", onInput);
+    clearButton.addEventListener("click", onClear);
+    this.#removeListeners = () => {
+      form.removeEventListener("submit", onSubmit);
+      form.removeEventListener("input", onInput);
+      clearButton.removeEventListener("click", onClear);
+    };
+  }
+
+  destroy() {
+    this.#removeListeners?.();
+    this.#removeListeners = null;
+  }
+
+  #apply(timeRange) {
+    const current = this.config.timeRange;
+    if (current.since === timeRange.since && current.until === timeRange.until) return;
+
+    this.onChange(timeRange);
+    this.render();
+  }
+
+  #toDateValue(timestamp) {
+    if (timestamp === null) return "";
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+  }
+}
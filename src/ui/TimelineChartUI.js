@@ -0,0 +1,200 @@
+import { zapAnalytics } from "../ZapAnalytics.js";
+import { cacheManager } from "../CacheManager.js";
+import { ZapReceipt } from "../ZapReceipt.js";
+import { APP_CONFIG } from "../AppSettings.js";
+import { formatNumber } from "../utils.js";
+
+const DAY = 86400;
+
+/**
+ * 集計の単位（UTC）。keyは連続する整数で、空の期間は0件として埋める
+ * 週は月曜始まり（1970-01-01は木曜のため3日ずらす）
+ */
+const UNITS = {
+  day: {
+    label: "Day",
+    toKey: (time) => Math.floor(time / DAY),
+    toTime: (key) => key * DAY,
+    format: (time) => new Date(time * 1000).toISOString().slice(0, 10),
+  },
+  week: {
+    label: "Week",
+    toKey: (time) => Math.floor((time / DAY + 3) / 7),
+    toTime: (key) => (key * 7 - 3) * DAY,
+    format: (time) => `Week of ${new Date(time * 1000).toISOString().slice(0, 10)}`,
+  },
+  month: {
+    label: "Month",
+    toKey: (time) => {
+      const date = new Date(time * 1000);
+      return date.getUTCFullYear() * 12 + date.getUTCMonth();
+    },
+    toTime: (key) => Date.UTC(Math.floor(key / 12), key % 12, 1) / 1000,
+    format: (time) => new Date(time * 1000).toISOString().slice(0, 7),
+  },
+};
+
+/**
+ * 統計の下のZapの推移のグラフ（data-timeline-chart="true"の場合のみ表示）
+ * 読み込み済みのZap（ZapInfoのcreated_atと金額）から描画し、追加読み込みのたびに過去へ伸びる
+ */
+export class TimelineChartUI {
+  #unsubscribe;
+  #frameId = null;
+  #unit = null; // nullの場合は期間に合わせて自動で選ぶ
+  #metric = "amount";
+
+  /**
+   * @param {ShadowRoot} rootElement
+   * @param {string} viewId
+   * @param {ViewerConfig} config
+   */
+  constructor(rootElement, viewId, config) {
+    this.root = rootElement;
+    this.viewId = viewId;
+    this.config = config;
+
+    const container = this.root?.querySelector(".zap-timeline");
+    if (!container) return;
+    container.hidden = !config.timelineChart;
+    if (!config.timelineChart) return;
+
+    // 追加読み込み・ライブのZap・期間の変更はzapAnalyticsに通知される
+    this.#unsubscribe = zapAnalytics.onChange((changedViewId) => {
+      if (changedViewId === this.viewId) this.render();
+    });
+    container.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-unit], [data-metric]");
+      if (!button) return;
+      if (button.dataset.unit) this.#unit = button.dataset.unit;
+      if (button.dataset.metric) this.#metric = button.dataset.metric;
+      this.render();
+    });
+    this.render();
+  }
+
+  render() {
+    if (!this.config.timelineChart || this.#frameId !== null) return;
+
+    this.#frameId = requestAnimationFrame(() => {
+      this.#frameId = null;
+      const container = this.root?.querySelector(".zap-timeline");
+      if (!container) return;
+
+      const points = this.#getPoints();
+      if (!points.length) {
+        container.innerHTML = "";
+        return;
+      }
+
+      const unit = this.#unit || TimelineChartUI.chooseUnit(points);
+      const buckets = TimelineChartUI.createBuckets(points, unit);
+      container.innerHTML = this.#createChartHTML(buckets, unit);
+    });
+  }
+
+  destroy() {
+    this.#unsubscribe?.();
+    if (this.#frameId !== null) {
+      cancelAnimationFrame(this.#frameId);
+      this.#frameId = null;
+    }
+  }
+
+  // 一覧と同じZapInfoの金額を使い、まだ作成されていないZapはレシートから求める
+  #getPoints() {
+    return cacheManager.getZapEvents(this.viewId)
+      .map(event => {
+        const info = cacheManager.getZapInfo(event.id);
+        const sats = info
+          ? info.satsAmount
+          : Math.floor((ZapReceipt.fromEvent(event).invoiceMsats || 0) / 1000);
+        return { time: info?.created_at ?? event.created_at, sats: sats || 0 };
+      })
+      .filter(point => point.time > 0);
+  }
+
+  /**
+   * 最大の本数（TIMELINE_CONFIG.MAX_BUCKETS）に収まる最も細かい単位
+   * @param {Array<{time: number, sats: number}>} points
+   * @returns {"day"|"week"|"month"}
+   */
+  static chooseUnit(points) {
+    const times = points.map(point => point.time);
+    const min = Math.min(...times);
+    const max = Math.max(...times);
+    return Object.keys(UNITS).find(unit =>
+      UNITS[unit].toKey(max) - UNITS[unit].toKey(min) < APP_CONFIG.TIMELINE_CONFIG.MAX_BUCKETS
+    ) || "month";
+  }
+
+  /**
+   * 単位ごとに合計し、新しい方からMAX_BUCKETS本に収める（Zapのない期間も0として含める）
+   * @param {Array<{time: number, sats: number}>} points
+   * @param {"day"|"week"|"month"} unit
+   * @returns {Array<{time: number, sats: number, count: number}>} 古い順
+   */
+  static createBuckets(points, unit) {
+    const { toKey, toTime } = UNITS[unit];
+    const totals = new Map();
+    points.forEach(({ time, sats }) => {
+      const key = toKey(time);
+      const total = totals.get(key) || { sats: 0, count: 0 };
+      total.sats += sats;
+      total.count++;
+      totals.set(key, total);
+    });
+
+    const keys = [...totals.keys()];
+    const last = Math.max(...keys);
+    const first = Math.max(Math.min(...keys), last - APP_CONFIG.TIMELINE_CONFIG.MAX_BUCKETS + 1);
+    const buckets = [];
+    for (let key = first; key <= last; key++) {
+      buckets.push({ time: toTime(key), sats: 0, count: 0, ...totals.get(key) });
+    }
+    return buckets;
+  }
+
+  #createChartHTML(buckets, unit) {
+    const { WIDTH, HEIGHT } = APP_CONFIG.TIMELINE_CONFIG;
+    const isAmount = this.#metric === "amount";
+    const valueOf = (bucket) => isAmount ? bucket.sats : bucket.count;
+    const max = Math.max(...buckets.map(valueOf), 1);
+    const barWidth = WIDTH / buckets.length;
+    const { format } = UNITS[unit];
+
+    const bars = buckets.map((bucket, index) => {
+      const height = valueOf(bucket) ? Math.max((valueOf(bucket) / max) * HEIGHT, 1) : 0;
+      const title = `${format(bucket.time)}\n${formatNumber(bucket.sats)} sats · ${formatNumber(bucket.count)} zaps`;
+      // 値が0の期間もツールチップを出せるよう、高さいっぱいの透明な領域を重ねる
+      return `
+        <g class="zap-timeline-bucket">
+          <title>${title}</title>
+          <rect class="zap-timeline-hit" x="${index * barWidth}" y="0" width="${barWidth}" height="${HEIGHT}"></rect>
+          <rect class="zap-timeline-bar" x="${index * barWidth + barWidth * 0.1}" y="${HEIGHT - height}" width="${barWidth * 0.8}" height="${height}"></rect>
+        </g>
+      `;
+    }).join("");
+
+    const toggle = (attribute, value, label, isActive) =>
+      `<button type="button" class="zap-timeline-toggle${isActive ? " is-active" : ""}" data-${attribute}="${value}">${label}</button>`;
+
+    return `
+      <div class="zap-timeline-header">
+        <span>Max ${formatNumber(max)} ${isAmount ? "sats" : "zaps"} / ${unit}</span>
+        <span class="zap-timeline-controls">
+          ${Object.entries(UNITS).map(([key, { label }]) => toggle("unit", key, label, key === unit)).join("")}
+          ${toggle("metric", "amount", "Sats", isAmount)}
+          ${toggle("metric", "count", "Zaps", !isAmount)}
+        </span>
+      </div>
+      <svg class="zap-timeline-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Zaps per ${unit}">
+        ${bars}
+      </svg>
+      <div class="zap-timeline-axis">
+        <span>${format(buckets[0].time)}</span>
+        <span>${format(buckets[buckets.length - 1].time)}</span>
+      </div>
+    `;
+  }
+}
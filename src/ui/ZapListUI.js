@@ -1,12 +1,18 @@
 import { DialogComponents } from "../DialogComponents.js";
 import { APP_CONFIG } from "../AppSettings.js";
 import { cacheManager } from "../CacheManager.js";
-import { isEventIdentifier } from "../utils.js";
+import { isEventIdentifier, encodeNevent } from "../utils.js";
+import { ZapReceipt } from "../ZapReceipt.js";
+import { privateZapDecryptor } from "../PrivateZapDecryptor.js";
+import { commentRenderer } from "./CommentRenderer.js";
+import { muteListManager } from "../MuteListManager.js";
 
 class ZapItemBuilder {
-  constructor(viewId, config) {
+  constructor(viewId, config, onPrivateZap = null) {
     this.viewId = viewId;
     this.config = config;
+    this.onPrivateZap = onPrivateZap;
+    this.muteList = null;
   }
 
   async createListItem(event) {
@@ -17,19 +23,116 @@ class ZapItemBuilder {
 
     const li = document.createElement("li");
     
-    li.className = `zap-list-item ${zapInfo.colorClass}${zapInfo.comment ? " with-comment" : ""}`;
+    li.className = `zap-list-item ${zapInfo.colorClass}${zapInfo.comment ? " with-comment" : ""}${zapInfo.isUnverified ? " is-unverified" : ""}${zapInfo.isAmountMismatch ? " has-amount-mismatch" : ""}`;
     li.setAttribute("data-pubkey", zapInfo.pubkey);
     if (event?.id) li.setAttribute("data-event-id", event.id);
 
     li.innerHTML = DialogComponents.createZapItemHTML(zapInfo, zapInfo.colorClass, this.viewId);
 
     li.setAttribute('data-timestamp', event.created_at.toString());
+    commentRenderer.hydrate(li);
+    this.#attachDetailToggle(li, event);
+    if (muteListManager.isMuted(event, this.muteList)) {
+      this.collapse(li);
+    }
+
+    // 未復号のプライベートZapは非同期で復号を試みる
+    if (zapInfo.isPrivate && !zapInfo.isRevealed && this.config?.decryptPrivateZaps) {
+      this.onPrivateZap?.(event, li);
+    }
 
     return { li, zapInfo };
   }
+
+  // 受信したリレーなどの詳細は開いた時点の情報で表示する
+  #attachDetailToggle(li, event) {
+    const content = li.querySelector(".zap-content");
+    if (!content || !event?.id) return;
+
+    const toggle = Object.assign(document.createElement("button"), {
+      type: "button",
+      className: "zap-detail-toggle",
+      title: "Zap details",
+      textContent: "ⓘ",
+    });
+    toggle.setAttribute("aria-expanded", "false");
+    toggle.addEventListener("click", () => {
+      const detail = content.querySelector(".zap-detail");
+      if (detail) {
+        detail.remove();
+        toggle.setAttribute("aria-expanded", "false");
+        return;
+      }
+      content.appendChild(this.#createDetail(event));
+      toggle.setAttribute("aria-expanded", "true");
+    });
+    content.appendChild(toggle);
+  }
+
+  #createDetail(event) {
+    const relays = cacheManager.getSeenOn(event.id);
+    const detail = Object.assign(document.createElement("div"), { className: "zap-detail" });
+
+    const addRow = (label, value) => {
+      const row = Object.assign(document.createElement("div"), { className: "zap-detail-row" });
+      row.appendChild(Object.assign(document.createElement("span"), {
+        className: "zap-detail-label",
+        textContent: label,
+      }));
+      row.appendChild(value);
+      detail.appendChild(row);
+    };
+
+    const nevent = encodeNevent(event.id, event.kind, event.pubkey, relays.slice(0, 2));
+    addRow("Receipt", nevent
+      ? Object.assign(document.createElement("a"), {
+          href: `https://njump.me/${nevent}`,
+          target: "_blank",
+          rel: "noopener noreferrer",
+          textContent: `${event.id.slice(0, 12)}…`,
+        })
+      : document.createTextNode(event.id));
+    addRow("Received", document.createTextNode(
+      new Date(event.created_at * 1000).toLocaleString()
+    ));
+
+    const relayList = Object.assign(document.createElement("ul"), { className: "zap-detail-relays" });
+    if (!relays.length) {
+      relayList.appendChild(Object.assign(document.createElement("li"), { textContent: "unknown" }));
+    }
+    relays.forEach(url => {
+      relayList.appendChild(Object.assign(document.createElement("li"), {
+        textContent: url.replace(/^wss?:\/\//, ""),
+        title: url,
+      }));
+    });
+    addRow(`Seen on ${relays.length} relay${relays.length === 1 ? "" : "s"}`, relayList);
+
+    return detail;
+  }
+
+  // ミュート対象のZapを折りたたみ、クリックで展開できるようにする
+  collapse(li) {
+    if (li.classList.contains("is-muted")) return;
+
+    li.classList.add("is-muted");
+    const toggle = Object.assign(document.createElement("button"), {
+      type: "button",
+      className: "zap-muted-toggle",
+      textContent: "Muted zap · show",
+    });
+    toggle.addEventListener("click", () => {
+      const isExpanded = li.classList.toggle("is-expanded");
+      toggle.textContent = isExpanded ? "Muted zap · hide" : "Muted zap · show";
+    });
+    li.prepend(toggle);
+  }
 }
 
 export class ZapListUI {
+  #pendingLiveEvents = [];
+  #removeLiveNoticeListeners = null;
+
   // 1. 基本構造
   constructor(shadowRoot, profileUI, viewId, config) {
     if (!shadowRoot) throw new Error('shadowRoot is required');
@@ -40,9 +143,15 @@ export class ZapListUI {
     this.viewId = viewId;
     this.config = config;
     
-    this.itemBuilder = new ZapItemBuilder(viewId, this.config);
+    this.itemBuilder = new ZapItemBuilder(
+      viewId,
+      this.config,
+      (event, li) => this.#revealPrivateZap(event, li)
+    );
     this.profileUpdateUnsubscribe = null;
     this.#initializeProfileUpdates();
+    this.#initializeMuteList();
+    this.#initializeLiveNotice();
   }
 
   destroy() {
@@ -51,6 +160,10 @@ export class ZapListUI {
       this.profileUpdateUnsubscribe = null;
     }
 
+    this.#removeLiveNoticeListeners?.();
+    this.#removeLiveNoticeListeners = null;
+    this.#pendingLiveEvents = [];
+
     // リストをクリア
     const list = this.#getElement(".dialog-zap-list");
     if (list) {
@@ -58,6 +171,18 @@ export class ZapListUI {
     }
   }
 
+  // 期間の変更などで取得し直す前に、表示中のZapと新着をすべて消す
+  clear() {
+    this.#pendingLiveEvents = [];
+    this.#updateLiveNotice();
+
+    const list = this.#getElement(".dialog-zap-list");
+    if (list) {
+      list.innerHTML = '';
+      list.scrollTop = 0;
+    }
+  }
+
   // 2. リスト操作の基本メソッド
   #getElement(selector) {
     return this.shadowRoot.querySelector(selector);
@@ -140,6 +265,7 @@ export class ZapListUI {
   }
 
   async renderZapListFromCache(events) {
+    events = await this.#filterMutedEvents(events);
     if (!events?.length) {
       cacheManager.setNoZapsState(this.viewId, false);
       return this.showNoZapsMessage();
@@ -244,10 +370,14 @@ export class ZapListUI {
   }
 
   async prependZap(event) {
+    const [visibleEvent] = await this.#filterMutedEvents([event]);
+    if (!visibleEvent) return;
     return this.#createAndAddZapElement(event, (list, li) => list.prepend(li));
   }
 
   async appendZap(event) {
+    const [visibleEvent] = await this.#filterMutedEvents([event]);
+    if (!visibleEvent) return;
     return this.#createAndAddZapElement(event, (list, li) => {
       const position = this.#findInsertPosition(list, event.created_at);
       position ? list.insertBefore(li, position) : list.appendChild(li);
@@ -258,10 +388,18 @@ export class ZapListUI {
     const placeholder = this.#getElement(`[data-index="${index}"]`);
     if (!this.#isValidPlaceholder(placeholder)) return;
 
+    const [visibleEvent] = await this.#filterMutedEvents([event]);
+    if (!visibleEvent) {
+      placeholder.remove();
+      return;
+    }
+
     try {
-      const { zapInfo } = await this.itemBuilder.createListItem(event);
-      this.#updatePlaceholderContent(placeholder, zapInfo, event.id);
-      await this.#updateProfileIfNeeded(zapInfo.pubkey, placeholder);
+      // 詳細の表示・ミュートの折りたたみ・プライベートZapの復号は作成した要素に付くため、要素ごと置き換える
+      const { li, zapInfo } = await this.itemBuilder.createListItem(event);
+      placeholder.replaceWith(li);
+      this.#handleCachedReference(event.id, li);
+      await this.#updateProfileIfNeeded(zapInfo.pubkey, li);
     } catch (error) {
       console.error("Failed to replace placeholder:", error);
       placeholder.remove();
@@ -311,6 +449,7 @@ export class ZapListUI {
     if (!list) return;
 
     try {
+      events = await this.#filterMutedEvents(events);
       const existingItems = new Map(
         Array.from(list.querySelectorAll('.zap-list-item'))
           .map(item => [item.getAttribute('data-event-id'), item])
@@ -378,6 +517,153 @@ export class ZapListUI {
     }
   }
 
+  async updateZapValidation(event) {
+    const zapElement = this.getElementByEventId(event?.id);
+    if (!zapElement) return;
+
+    const zapInfo = await DialogComponents.ZapInfo.createFromEvent(event, {
+      isColorModeEnabled: this.config?.isColorModeEnabled
+    });
+    zapElement.classList.toggle("is-unverified", !!zapInfo.isUnverified);
+    DialogComponents.updateBadgesInElement(zapElement, zapInfo);
+  }
+
+  removeZap(eventId) {
+    this.getElementByEventId(eventId)?.remove();
+  }
+
+  async #revealPrivateZap(event, li) {
+    const revealed = await privateZapDecryptor.decrypt(ZapReceipt.fromEvent(event));
+    if (!revealed) return;
+
+    // 作成直後の要素がまだ挿入されていない場合はリスト内から探す
+    const zapElement = li?.isConnected ? li : this.getElementByEventId(event.id);
+    if (!zapElement) return;
+
+    try {
+      cacheManager.clearZapInfo(event.id);
+      const { li: revealedLi } = await this.itemBuilder.createListItem(event);
+      zapElement.replaceWith(revealedLi);
+      this.#handleCachedReference(event.id, revealedLi);
+      await this.profileUI.revealSender(revealedLi, revealed.pubkey);
+    } catch (error) {
+      console.error("Failed to reveal private zap:", error);
+    }
+  }
+
+  // ライブ購読関連メソッド
+  /**
+   * ライブ購読で受け取ったZapを表示する
+   * リストをスクロールしている場合は位置がずれないよう、新着バナーにためておく
+   * 再接続後の再取得では順不同で届くため、時刻順の位置に挿入する
+   */
+  async addLiveZap(event) {
+    if (this.getElementByEventId(event.id)) return;
+    if (this.#pendingLiveEvents.some(pending => pending.id === event.id)) return;
+
+    if (this.#isScrolledDown()) {
+      this.#pendingLiveEvents.push(event);
+      this.#updateLiveNotice();
+      return;
+    }
+    return this.appendZap(event);
+  }
+
+  #initializeLiveNotice() {
+    const pill = this.#getElement(".new-zaps-pill");
+    const list = this.#getElement(".dialog-zap-list");
+    if (!pill || !list) return;
+
+    const onClick = () => {
+      list.scrollTo({ top: 0, behavior: "smooth" });
+      this.#flushLiveZaps();
+    };
+    // 自分で先頭まで戻った場合も新着を表示する
+    const onScroll = () => {
+      if (this.#pendingLiveEvents.length && !this.#isScrolledDown()) {
+        this.#flushLiveZaps();
+      }
+    };
+
+    pill.addEventListener("click", onClick);
+    list.addEventListener("scroll", onScroll, { passive: true });
+    this.#removeLiveNoticeListeners = () => {
+      pill.removeEventListener("click", onClick);
+      list.removeEventListener("scroll", onScroll);
+      pill.hidden = true;
+    };
+  }
+
+  #isScrolledDown() {
+    const list = this.#getElement(".dialog-zap-list");
+    return !!list && list.scrollTop > APP_CONFIG.LIVE_CONFIG.SCROLL_THRESHOLD;
+  }
+
+  async #flushLiveZaps() {
+    const events = this.#pendingLiveEvents;
+    this.#pendingLiveEvents = [];
+    this.#updateLiveNotice();
+
+    for (const event of events) {
+      if (!this.getElementByEventId(event.id)) {
+        await this.appendZap(event);
+      }
+    }
+  }
+
+  #updateLiveNotice() {
+    const pill = this.#getElement(".new-zaps-pill");
+    if (!pill) return;
+
+    const count = this.#pendingLiveEvents.length;
+    pill.hidden = count === 0;
+    pill.textContent = `↑ ${count} new zap${count === 1 ? "" : "s"}`;
+  }
+
+  // ミュートリスト関連メソッド
+  #isMuteListEnabled() {
+    const mode = this.config.muteListMode;
+    return !!mode && mode !== APP_CONFIG.MUTE_LIST_CONFIG.MODES.NONE;
+  }
+
+  #initializeMuteList() {
+    if (!this.#isMuteListEnabled()) return;
+
+    // 描画の待ち時間内に取得できなかった場合は、取得後に表示済みの要素へ反映する
+    muteListManager.load()
+      .then(muteList => this.#applyMuteListToRenderedItems(muteList))
+      .catch(error => console.warn("Failed to apply mute list:", error));
+  }
+
+  // 描画前にミュートリストを待ち、hideモードではミュート対象を除外する（統計には影響しない）
+  async #filterMutedEvents(events) {
+    if (!this.#isMuteListEnabled() || !events?.length) return events;
+
+    if (!this.itemBuilder.muteList) {
+      this.itemBuilder.muteList = await muteListManager.loadWithTimeout();
+    }
+    if (this.config.muteListMode !== APP_CONFIG.MUTE_LIST_CONFIG.MODES.HIDE) return events;
+
+    return events.filter(event => !muteListManager.isMuted(event, this.itemBuilder.muteList));
+  }
+
+  #applyMuteListToRenderedItems(muteList) {
+    if (!muteList) return;
+    this.itemBuilder.muteList = muteList;
+
+    const events = new Map(cacheManager.getZapEvents(this.viewId).map(e => [e.id, e]));
+    this.shadowRoot.querySelectorAll(".zap-list-item[data-event-id]").forEach(item => {
+      const event = events.get(item.getAttribute("data-event-id"));
+      if (!muteListManager.isMuted(event, muteList)) return;
+
+      if (this.config.muteListMode === APP_CONFIG.MUTE_LIST_CONFIG.MODES.HIDE) {
+        item.remove();
+      } else {
+        this.itemBuilder.collapse(item);
+      }
+    });
+  }
+
   // 4. プロフィール関連メソッド
   #initializeProfileUpdates() {
     this.profileUpdateUnsubscribe = cacheManager.subscribeToProfileUpdates(
@@ -386,7 +672,7 @@ export class ZapListUI {
   }
 
   async #handleProfileUpdate(pubkey, profile) {
-    const elements = this.shadowRoot.querySelectorAll(`[data-pubkey="${pubkey}"]`);
+    const elements = this.shadowRoot.querySelectorAll(`[data-pubkey="${CSS.escape(pubkey)}"]`);
     await Promise.allSettled(
       Array.from(elements).map(element => 
         this.profileUI.updateProfileElement(element, profile)
@@ -445,14 +731,4 @@ export class ZapListUI {
   #isValidPlaceholder(element) {
     return element && element.classList.contains('placeholder');
   }
-
-  #updatePlaceholderContent(placeholder, zapInfo, eventId) {
-    const colorClass = this.itemBuilder.getAmountColorClass(zapInfo.satsAmount);
-    
-    placeholder.className = `zap-list-item ${colorClass}${zapInfo.comment ? " with-comment" : ""}`;
-    placeholder.setAttribute("data-pubkey", zapInfo.pubkey);
-    placeholder.setAttribute("data-event-id", eventId);
-    placeholder.innerHTML = DialogComponents.createZapItemHTML(zapInfo, colorClass, this.viewId);
-    placeholder.removeAttribute('data-index');
-  }
-}
\ No newline at end of file
+}
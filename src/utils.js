@@ -35,7 +35,7 @@ const Decoder = {
       return null;
     }
   },
-  createReqFromType: (type, data, since) => {
+  createReqFromType: (type, data, since, timeRange = null) => {
     const baseReq = {
       npub: () => ({ kinds: [9735], "#p": [data] }),
       note: () => ({ kinds: [9735], "#e": [data] }),
@@ -57,8 +57,17 @@ const Decoder = {
     req.limit = since ? APP_CONFIG.REQ_CONFIG.ADDITIONAL_LOAD_COUNT : APP_CONFIG.REQ_CONFIG.INITIAL_LOAD_COUNT;
     if (since) req.until = since;
 
+    // 期間指定（data-since/data-until）。追加読み込みの起点も期間の終わりを超えないようにする
+    if (timeRange?.until) req.until = Math.min(req.until ?? timeRange.until, timeRange.until);
+    if (timeRange?.since) req.since = timeRange.since;
+
+    // nprofile/nevent/naddrに含まれるリレーヒント
+    const relayHints = [...new Set(
+      (Array.isArray(data?.relays) ? data.relays : []).map(normalizeRelayUrl).filter(Boolean)
+    )];
+
     console.debug("Created request:", req);
-    return { req };
+    return { req, relayHints };
   }
 };
 
@@ -133,76 +142,6 @@ const Formatter = {
 
 // Zap utilities
 const ZapUtils = {
-  parseZapEvent: async (event) => {
-    const { pubkey, content } = ZapUtils.parseDescriptionTag(event);
-    const satsText = await ZapUtils.parseBolt11(event);
-    return { pubkey, content, satsText };
-  },
-  parseDescriptionTag: (event) => {
-    const descriptionTag = event.tags.find(
-      (tag) => tag[0] === "description"
-    )?.[1];
-    if (!descriptionTag) return { pubkey: null, content: "" };
-
-    try {
-      const sanitizedDescription = sanitizeJsonString(descriptionTag);
-
-      let parsed;
-      try {
-        parsed = JSON.parse(sanitizedDescription);
-      } catch {
-        // 最後の手段としてJSONを再構築
-        const match = sanitizedDescription.match(/"pubkey"\s*:\s*"([^"]+)"|"content"\s*:\s*"([^"]+)"/g);
-        if (!match) throw new Error('Invalid JSON structure');
-
-        parsed = {};
-        match.forEach(item => {
-          const [key, value] = item.split(':').map(s => s.trim().replace(/"/g, ''));
-          parsed[key] = value;
-        });
-      }
-
-      // pubkeyの型チェックと正規化
-      let pubkey = null;
-      if (parsed.pubkey) {
-        pubkey = typeof parsed.pubkey === "string" 
-          ? parsed.pubkey 
-          : String(parsed.pubkey);
-      }
-
-      // contentの型チェックと正規化
-      const content = typeof parsed.content === "string" 
-        ? parsed.content.trim() 
-        : "";
-
-      return { pubkey, content };
-    } catch (error) {
-      console.warn("Description tag parse warning:", error, {
-        tag: descriptionTag,
-        sanitized: sanitizedDescription
-      });
-      return { pubkey: null, content: "" };
-    }
-  },
-  parseBolt11: async (event) => {
-    const bolt11Tag = event.tags.find(
-      (tag) => tag[0].toLowerCase() === "bolt11"
-    )?.[1];
-    if (!bolt11Tag) return "Amount: Unknown";
-
-    try {
-      const decoded = window.decodeBolt11(bolt11Tag);
-      const amountMsat = decoded.sections.find(
-        (section) => section.name === "amount"
-      )?.value;
-      return amountMsat
-        ? `${Formatter.formatNumber(Math.floor(amountMsat / 1000))} sats`
-        : "Amount: Unknown";
-    } catch (error) {
-      console.error("BOLT11 decode error:", error);
-      return "Amount: Unknown";
-    }
-  },
   createDefaultZapInfo: (event) => {
     return {
       satsText: "Amount: Unknown",
@@ -226,8 +165,8 @@ function isWithin24Hours(timestamp) {
 }
 
 // Keep existing decodeIdentifier as main export
-function decodeIdentifier(identifier, since = null) {
-  const cacheKey = `${identifier}:${since}`;
+function decodeIdentifier(identifier, since = null, timeRange = null) {
+  const cacheKey = `${identifier}:${since}:${timeRange?.since ?? ""}-${timeRange?.until ?? ""}`;
   if (cacheManager.hasDecoded(cacheKey)) return cacheManager.getDecoded(cacheKey);
   
   if (!Validator.isValidIdentifier(identifier)) throw new Error(APP_CONFIG.ZAP_CONFIG.ERRORS.DECODE_FAILED);
@@ -235,7 +174,7 @@ function decodeIdentifier(identifier, since = null) {
   const decoded = Decoder.safeNip19Decode(identifier);
   if (!decoded) return null;
   
-  const result = Decoder.createReqFromType(decoded.type, decoded.data, since);
+  const result = Decoder.createReqFromType(decoded.type, decoded.data, since, timeRange);
   if (result) cacheManager.setDecoded(cacheKey, result);
   
   return result;
@@ -258,6 +197,11 @@ async function verifyNip05(nip05, pubkey) {
 }
 
 function sanitizeImageUrl(url) {
+  return sanitizeUrl(url);
+}
+
+// コメント内のリンクと画像で共通のURL許可リスト
+function sanitizeUrl(url) {
   if (!url || typeof url !== "string") return null;
 
   try {
@@ -273,6 +217,36 @@ function sanitizeImageUrl(url) {
   }
 }
 
+// 正規化したwss/wsのURL（不正な場合はnull）
+function normalizeRelayUrl(url) {
+  if (!url || typeof url !== "string") return null;
+
+  try {
+    const parsed = new URL(url.trim());
+    if (!["wss:", "ws:"].includes(parsed.protocol)) return null;
+    return parsed.href.replace(/\/$/, "");
+  } catch {
+    return null;
+  }
+}
+
+// NIP-30 emojiタグを shortcode → 画像URL のマップに変換
+// :constructor: などが継承したプロパティに解決されないよう、プロトタイプを持たないオブジェクトにする
+function extractEmojiTags(tags) {
+  if (!Array.isArray(tags)) return Object.create(null);
+
+  return tags.reduce((emojis, tag) => {
+    if (!Array.isArray(tag) || tag[0] !== "emoji") return emojis;
+
+    const [, shortcode, url] = tag;
+    const safeUrl = sanitizeImageUrl(url);
+    if (typeof shortcode === "string" && /^[a-zA-Z0-9_]+$/.test(shortcode) && safeUrl) {
+      emojis[shortcode] = safeUrl;
+    }
+    return emojis;
+  }, Object.create(null));
+}
+
 const isValidCount = (count) => Number.isInteger(count) && count > 0;
 
 // --- Move individual functions out of Formatter ---
@@ -297,6 +271,11 @@ function escapeHTML(str) {
   return div.innerHTML;
 }
 
+// 属性値に埋め込む場合は引用符もエスケープする（escapeHTMLは引用符をエスケープしない）
+function escapeAttribute(str) {
+  return escapeHTML(str).replace(/"/g, "&quot;");
+}
+
 // --- Move individual functions out of Encoder ---
 function encodeNpub(pubkey) {
   try {
@@ -375,12 +354,6 @@ function isValidIdentifier(identifier) {
 }
 
 // --- Move individual functions out of ZapUtils ---
-async function parseZapEvent(event) {
-  const { pubkey, content } = parseDescriptionTag(event);
-  const satsText = await parseBolt11(event);
-  return { pubkey, content, satsText };
-}
-
 function createDefaultZapInfo(event, defaultIcon) {
   return {
     satsText: "Amount: Unknown",
@@ -395,73 +368,6 @@ function createDefaultZapInfo(event, defaultIcon) {
   };
 }
 
-function parseDescriptionTag(event) {
-  const descriptionTag = event.tags.find(
-    (tag) => tag[0] === "description"
-  )?.[1];
-  if (!descriptionTag) return { pubkey: null, content: "" };
-
-  try {
-    const sanitizedDescription = sanitizeJsonString(descriptionTag);
-
-    let parsed;
-    try {
-      parsed = JSON.parse(sanitizedDescription);
-    } catch {
-      // 最後の手段としてJSONを再構築
-      const match = sanitizedDescription.match(/"pubkey"\s*:\s*"([^"]+)"|"content"\s*:\s*"([^"]+)"/g);
-      if (!match) throw new Error('Invalid JSON structure');
-
-      parsed = {};
-      match.forEach(item => {
-        const [key, value] = item.split(':').map(s => s.trim().replace(/"/g, ''));
-        parsed[key] = value;
-      });
-    }
-
-    // pubkeyの型チェックと正規化
-    let pubkey = null;
-    if (parsed.pubkey) {
-      pubkey = typeof parsed.pubkey === "string" 
-        ? parsed.pubkey 
-        : String(parsed.pubkey);
-    }
-
-    // contentの型チェックと正規化
-    const content = typeof parsed.content === "string" 
-      ? parsed.content.trim() 
-      : "";
-
-    return { pubkey, content };
-  } catch (error) {
-    console.warn("Description tag parse warning:", error, {
-      tag: descriptionTag,
-      sanitized: sanitizedDescription
-    });
-    return { pubkey: null, content: "" };
-  }
-}
-
-async function parseBolt11(event) {
-  const bolt11Tag = event.tags.find(
-    (tag) => tag[0].toLowerCase() === "bolt11"
-  )?.[1];
-  if (!bolt11Tag) return "Amount: Unknown";
-
-  try {
-    const decoded = window.decodeBolt11(bolt11Tag);
-    const amountMsat = decoded.sections.find(
-      (section) => section.name === "amount"
-    )?.value;
-    return amountMsat
-      ? `${formatNumber(Math.floor(amountMsat / 1000))} sats`
-      : "Amount: Unknown";
-  } catch (error) {
-    console.error("BOLT11 decode error:", error);
-    return "Amount: Unknown";
-  }
-}
-
 // --- Move individual function out of Decoder ---
 function safeNip19Decode(identifier) {
   try {
@@ -495,6 +401,7 @@ export {
   formatNumber,
   formatIdentifier,
   escapeHTML,
+  escapeAttribute,
 
   // Individual functions from Encoder
   encodeNpub,
@@ -508,10 +415,7 @@ export {
   isValidIdentifier,
 
   // Individual functions from ZapUtils
-  parseZapEvent,
   createDefaultZapInfo,
-  parseDescriptionTag,
-  parseBolt11,
 
   // Individual function from Decoder
   safeNip19Decode,
@@ -522,6 +426,9 @@ export {
   getProfileDisplayName,
   verifyNip05,
   sanitizeImageUrl,
+  sanitizeUrl,
+  normalizeRelayUrl,
+  extractEmojiTags,
   isValidCount,
   sanitizeJsonString
 };